@@ -2,15 +2,22 @@
  * Add Project Script
  * 
  * Utility script to add new projects to the NX Projects Tracker configuration.
- * Updates both projects.yml and firmware.yml files automatically.
+ * Updates both projects.yml and firmware.yml files automatically, with
+ * optional project metadata (category, type, tags, overrides). The files are
+ * edited as YAML documents, so their comments and layout are kept.
  * 
  * @author ghost
  * @version 1.0.0
  */
 
-const yaml = require('js-yaml');
+const YAML = require('yaml');
 const fs = require('fs-extra');
 const path = require('path');
+const { loadFirmwareCatalog, isKnownFirmware } = require('../src/firmware-catalog');
+const { getProjectMetadata, PROJECT_TYPES } = require('../src/project-metadata');
+const { normalizeFirmwareKey } = require('../src/firmware');
+const { parseRepoString, formatRepoString } = require('../src/providers/repo-string');
+const { stringifyConfigDocument } = require('../src/config-yaml');
 
 // ============================================================================
 // CONFIGURATION
@@ -19,7 +26,17 @@ const path = require('path');
 const CONFIG = {
   PROJECTS_FILE: path.join(__dirname, '..', 'config', 'projects.yml'),
   FIRMWARE_FILE: path.join(__dirname, '..', 'config', 'firmware.yml'),
-  DEFAULT_FIRMWARE: '20.2.0'
+  DEFAULT_FIRMWARE: '20.2.0',
+  // Command line flags mapped to projects.yml fields
+  METADATA_FLAGS: {
+    category: 'category',
+    type: 'type',
+    tags: 'tags',
+    name: 'display_name',
+    description: 'description',
+    homepage: 'homepage',
+    hidden: 'hidden'
+  }
 };
 
 // ============================================================================
@@ -28,11 +45,16 @@ const CONFIG = {
 
 /**
  * Validate repository format
- * @param {string} repo - Repository string to validate
+ * @param {string} repo - Repository string to validate ("owner/repo", "gitlab:group/repo", a URL...)
  * @returns {boolean} True if valid, false otherwise
  */
 function isValidRepoFormat(repo) {
-  return repo.includes('/') && repo.split('/').length === 2;
+  try {
+    parseRepoString(repo);
+    return true;
+  } catch (error) {
+    return false;
+  }
 }
 
 /**
@@ -51,14 +73,19 @@ function isValidFirmwareFormat(firmware) {
 // ============================================================================
 
 /**
- * Load YAML configuration file
+ * Load YAML configuration file as a document, which keeps its comments
  * @param {string} filePath - Path to the YAML file
- * @returns {Promise<Object>} Parsed YAML content
+ * @returns {Promise<Object>} YAML Document
  */
 async function loadYamlFile(filePath) {
   try {
-    const content = await fs.readFile(filePath, 'utf8');
-    return yaml.load(content);
+    const document = YAML.parseDocument(await fs.readFile(filePath, 'utf8'));
+
+    if (document.errors.length) {
+      throw document.errors[0];
+    }
+
+    return document;
   } catch (error) {
     throw new Error(`Failed to load ${filePath}: ${error.message}`);
   }
@@ -67,12 +94,12 @@ async function loadYamlFile(filePath) {
 /**
  * Save YAML configuration file
  * @param {string} filePath - Path to the YAML file
- * @param {Object} data - Data to save
+ * @param {Object} document - YAML Document to save
  * @returns {Promise<void>}
  */
-async function saveYamlFile(filePath, data) {
+async function saveYamlFile(filePath, document) {
   try {
-    await fs.writeFile(filePath, yaml.dump(data, { lineWidth: 120 }));
+    await fs.writeFile(filePath, stringifyConfigDocument(document));
   } catch (error) {
     throw new Error(`Failed to save ${filePath}: ${error.message}`);
   }
@@ -82,24 +109,49 @@ async function saveYamlFile(filePath, data) {
 // PROJECT MANAGEMENT
 // ============================================================================
 
+/**
+ * Get the key identifying a repository, as used by the configuration validation
+ * @param {string} repo - Repository string or URL
+ * @returns {string|null} Normalized key, null if the string is invalid
+ */
+function getRepoKey(repo) {
+  try {
+    // "owner/repo" and "https://github.com/owner/repo" are the same project
+    return normalizeFirmwareKey(formatRepoString(parseRepoString(repo)));
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Add project to projects.yml configuration
  * @param {string} repo - Repository string (owner/repo)
+ * @param {Object} metadata - Optional projects.yml fields (category, type, tags, ...)
  * @returns {Promise<boolean>} True if added, false if already exists
  */
-async function addToProjectsConfig(repo) {
-  const config = await loadYamlFile(CONFIG.PROJECTS_FILE);
+async function addToProjectsConfig(repo, metadata = {}) {
+  const document = await loadYamlFile(CONFIG.PROJECTS_FILE);
   
   // Check if project already exists
-  const existingProject = config.projects.find(p => p.repo === repo);
+  const key = getRepoKey(repo);
+  const existingProject = (document.toJS().projects || []).find(p => getRepoKey(p.repo) === key);
   if (existingProject) {
-    console.log(`Project ${repo} already exists in projects.yml`);
+    console.log(`Project ${repo} already exists in projects.yml (${existingProject.repo})`);
     return false;
   }
   
   // Add new project
-  config.projects.push({ repo });
-  await saveYamlFile(CONFIG.PROJECTS_FILE, config);
+  const node = document.createNode({ repo, ...metadata });
+  
+  // Tags on one line and unquoted, as in the README example
+  if (node.has('tags')) {
+    const tags = node.get('tags', true);
+    tags.flow = true;
+    tags.items.forEach(tag => { tag.type = 'PLAIN'; });
+  }
+  
+  document.addIn(['projects'], node);
+  await saveYamlFile(CONFIG.PROJECTS_FILE, document);
   
   console.log(`Added ${repo} to projects.yml`);
   return true;
@@ -107,25 +159,28 @@ async function addToProjectsConfig(repo) {
 
 /**
  * Add firmware requirement to firmware.yml configuration
- * @param {string} projectName - Name of the project
+ * @param {string} repo - Repository string (owner/repo)
  * @param {string} firmware - Required firmware version
  * @returns {Promise<boolean>} True if added, false if already exists
  */
-async function addToFirmwareConfig(projectName, firmware) {
-  const config = await loadYamlFile(CONFIG.FIRMWARE_FILE);
+async function addToFirmwareConfig(repo, firmware) {
+  const document = await loadYamlFile(CONFIG.FIRMWARE_FILE);
+  const requirements = document.toJS().firmware_requirements || {};
   
-  // Check if firmware requirement already exists
-  if (config.firmware_requirements[projectName]) {
-    const existingFirmware = config.firmware_requirements[projectName];
-    console.log(`Firmware requirement for ${projectName} already exists: ${existingFirmware}`);
+  // Keys are case-insensitive; a legacy name-only key also covers the project
+  const candidates = [getRepoKey(repo), normalizeFirmwareKey(parseRepoString(repo).repo)];
+  const existingKey = Object.keys(requirements).find(key => candidates.includes(normalizeFirmwareKey(key)));
+  
+  if (existingKey) {
+    console.log(`Firmware requirement for ${repo} already exists (${existingKey}): ${JSON.stringify(requirements[existingKey])}`);
     return false;
   }
   
   // Add new firmware requirement
-  config.firmware_requirements[projectName] = firmware;
-  await saveYamlFile(CONFIG.FIRMWARE_FILE, config);
+  document.setIn(['firmware_requirements', repo], firmware);
+  await saveYamlFile(CONFIG.FIRMWARE_FILE, document);
   
-  console.log(`Added firmware requirement ${firmware} for ${projectName} to firmware.yml`);
+  console.log(`Added firmware requirement ${firmware} for ${repo} to firmware.yml`);
   return true;
 }
 
@@ -137,27 +192,32 @@ async function addToFirmwareConfig(projectName, firmware) {
  * Add a new project to both configuration files
  * @param {string} repo - Repository string (owner/repo)
  * @param {string} firmware - Required firmware version
+ * @param {Object} metadata - Optional projects.yml fields (category, type, tags, ...)
  * @returns {Promise<void>}
  */
-async function addProject(repo, firmware = CONFIG.DEFAULT_FIRMWARE) {
+async function addProject(repo, firmware = CONFIG.DEFAULT_FIRMWARE, metadata = {}) {
   try {
     console.log(`Adding project: ${repo} with firmware ${firmware}\n`);
     
     // Validate inputs
     if (!isValidRepoFormat(repo)) {
-      throw new Error(`Invalid repo format: "${repo}". Expected format: "owner/repo"`);
+      throw new Error(`Invalid repo format: "${repo}". Expected format: "owner/repo", "gitlab:group/repo", "codeberg:owner/repo" or a repository URL`);
     }
     
     if (!isValidFirmwareFormat(firmware)) {
       throw new Error(`Invalid firmware format: "${firmware}". Expected format: "X.Y.Z"`);
     }
     
-    // Extract project name from repo
-    const projectName = repo.split('/')[1];
+    if (!isKnownFirmware(await loadFirmwareCatalog(), firmware)) {
+      throw new Error(`Unknown firmware version: "${firmware}". Known versions are listed in config/firmware-catalog.yml`);
+    }
+    
+    // Same validation as the tracker
+    getProjectMetadata({ repo, ...metadata });
     
     // Add to both configuration files
-    const projectsAdded = await addToProjectsConfig(repo);
-    const firmwareAdded = await addToFirmwareConfig(projectName, firmware);
+    const projectsAdded = await addToProjectsConfig(repo, metadata);
+    const firmwareAdded = await addToFirmwareConfig(repo, firmware);
     
     // Summary
     console.log('\nSummary:');
@@ -185,20 +245,60 @@ async function addProject(repo, firmware = CONFIG.DEFAULT_FIRMWARE) {
 // COMMAND LINE INTERFACE
 // ============================================================================
 
+/**
+ * Parse metadata flags (--category=..., --tags=a,b, --hidden, ...)
+ * @param {Array<string>} flags - Command line flags
+ * @returns {Object} projects.yml fields
+ * @throws {Error} If a flag is unknown
+ */
+function parseMetadataFlags(flags) {
+  const metadata = {};
+  
+  for (const flag of flags) {
+    const [, name, value] = /^--([a-z]+)(?:=(.*))?$/.exec(flag) || [];
+    const key = CONFIG.METADATA_FLAGS[name];
+    
+    if (!key) {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+    
+    if (key === 'hidden') {
+      metadata.hidden = value === undefined || value === 'true';
+    } else if (key === 'tags') {
+      metadata.tags = (value || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    } else {
+      metadata[key] = value;
+    }
+  }
+  
+  return metadata;
+}
+
 /**
  * Display usage information
  */
 function showUsage() {
-  console.log('Usage: npm run add <owner/repo> [firmware_version]');
+  console.log('Usage: npm run add <owner/repo> [firmware_version] [options]');
   console.log('');
   console.log('Arguments:');
-  console.log('  owner/repo      Repository in format "owner/repo"');
+  console.log('  owner/repo      Repository: "owner/repo" (GitHub), "gitlab:group/repo", "codeberg:owner/repo" or a URL');
   console.log('  firmware_version Optional firmware version (default: 20.2.0)');
   console.log('');
+  console.log('Options:');
+  console.log('  --category=<name>       Category, e.g. "Utilities"');
+  console.log(`  --type=<type>           Homebrew type: ${PROJECT_TYPES.join(', ')}`);
+  console.log('  --tags=<a,b>            Comma-separated tags');
+  console.log('  --name=<name>           Display name');
+  console.log('  --description=<text>    Description override');
+  console.log('  --homepage=<url>        Homepage override');
+  console.log('  --hidden                Track the project without showing it on the site');
+  console.log('');
   console.log('Examples:');
   console.log('  npm run add "THZoria/NX_Firmware"');
   console.log('  npm run add "Atmosphere-NX/Atmosphere" "20.2.0"');
   console.log('  npm run add "someuser/oldproject" "15.0.1"');
+  console.log('  npm run add "codeberg:someuser/project"');
+  console.log('  npm run add -- "retronx-team/sys-clk" "20.2.0" --type=sysmodule --category=Utilities --tags=overclock');
 }
 
 // ============================================================================
@@ -208,16 +308,26 @@ function showUsage() {
 // Run if this file is executed directly
 if (require.main === module) {
   const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('--'));
   
-  if (args.length < 1) {
+  if (positional.length < 1) {
     showUsage();
     process.exit(1);
   }
   
-  const repo = args[0];
-  const firmware = args[1] || CONFIG.DEFAULT_FIRMWARE;
+  const repo = positional[0];
+  const firmware = positional[1] || CONFIG.DEFAULT_FIRMWARE;
+  let metadata;
+  
+  try {
+    metadata = parseMetadataFlags(args.filter(arg => arg.startsWith('--')));
+  } catch (error) {
+    console.error(error.message);
+    showUsage();
+    process.exit(1);
+  }
   
-  addProject(repo, firmware);
+  addProject(repo, firmware, metadata);
 }
 
 // Export for testing or external use
@@ -0,0 +1,286 @@
+/**
+ * Compatibility Query Script
+ *
+ * Answers "I'm on firmware X, what can I run?": loads firmware.yml and the
+ * latest projects.json and lists which tracked projects are compatible,
+ * incompatible or unknown for a console firmware version.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const YAML = require('yaml');
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  parseFirmwareVersion,
+  normalizeFirmwareRequirement,
+  checkFirmwareRequirement,
+  indexFirmwareRequirements,
+  findFirmwareRequirement
+} = require('../src/firmware');
+const { loadFirmwareCatalog, isKnownFirmware } = require('../src/firmware-catalog');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  FIRMWARE_FILE: path.join(__dirname, '..', 'config', 'firmware.yml'),
+  PROJECTS_FILE: path.join(__dirname, '..', 'output', 'projects.json'),
+  FORMATS: ['table', 'json', 'markdown'],
+  STATUS_ORDER: ['compatible', 'incompatible', 'unknown']
+};
+
+// ============================================================================
+// DATA LOADING
+// ============================================================================
+
+/**
+ * Load and normalize firmware requirements from firmware.yml
+ * @returns {Promise<Map<string, Object>>} Normalized requirements by normalized key
+ */
+async function loadFirmwareRequirements() {
+  const config = YAML.parse(await fs.readFile(CONFIG.FIRMWARE_FILE, 'utf8')) || {};
+
+  return indexFirmwareRequirements(config.firmware_requirements, (key, error) => {
+    console.error(`Ignoring firmware requirement for ${key}: ${error.message}`);
+  });
+}
+
+/**
+ * Load the projects of the latest tracker run
+ * @returns {Promise<Array<Object>>} Project data
+ */
+async function loadProjects() {
+  if (!(await fs.pathExists(CONFIG.PROJECTS_FILE))) {
+    throw new Error(`${CONFIG.PROJECTS_FILE} not found. Run "npm start" first.`);
+  }
+
+  const output = await fs.readJson(CONFIG.PROJECTS_FILE);
+  return output.projects || [];
+}
+
+// ============================================================================
+// COMPATIBILITY
+// ============================================================================
+
+/**
+ * Get the firmware requirement that applies to a project. firmware.yml wins
+ * (it may have been edited since the last run), then a requirement detected
+ * from release notes. The default firmware is a guess, so projects that only
+ * have it are reported as unknown.
+ * @param {Object} project - Project data from projects.json
+ * @param {Map<string, Object>} requirements - Normalized requirements from firmware.yml
+ * @returns {Object|null} Normalized requirement or null if unknown
+ */
+function getProjectRequirement(project, requirements) {
+  const configured = findFirmwareRequirement(requirements, project.projectUrl);
+
+  if (configured) {
+    return configured;
+  }
+
+  if (project.firmwareSource === 'detected') {
+    const supported = project.supportedUpTo || project.requiredFirmware;
+    return project.firmware || (supported ? normalizeFirmwareRequirement(supported) : null);
+  }
+
+  return null;
+}
+
+/**
+ * Check every project against a console firmware version
+ * @param {Array<Object>} projects - Project data from projects.json
+ * @param {Map<string, Object>} requirements - Normalized requirements from firmware.yml
+ * @param {string} firmware - Console firmware version
+ * @returns {Array<Object>} Results sorted by status, then name
+ */
+function checkCompatibility(projects, requirements, firmware) {
+  const results = projects.map(project => {
+    const requirement = getProjectRequirement(project, requirements);
+    const result = requirement
+      ? checkFirmwareRequirement(requirement, firmware)
+      : { compatible: null, reason: 'no firmware information' };
+
+    return {
+      name: project.name,
+      project: project.projectUrl,
+      version: project.latestVersion,
+      status: result.compatible === null ? 'unknown' : (result.compatible ? 'compatible' : 'incompatible'),
+      reason: result.reason,
+      requirement
+    };
+  });
+
+  return results.sort((a, b) =>
+    CONFIG.STATUS_ORDER.indexOf(a.status) - CONFIG.STATUS_ORDER.indexOf(b.status) ||
+    a.name.localeCompare(b.name));
+}
+
+/**
+ * Count results per status
+ * @param {Array<Object>} results - Compatibility results
+ * @returns {{compatible: number, incompatible: number, unknown: number}} Counts
+ */
+function summarize(results) {
+  const summary = { compatible: 0, incompatible: 0, unknown: 0 };
+  results.forEach(result => summary[result.status]++);
+  return summary;
+}
+
+// ============================================================================
+// OUTPUT FORMATS
+// ============================================================================
+
+/**
+ * Render results as a plain-text table
+ * @param {string} firmware - Console firmware version
+ * @param {Array<Object>} results - Compatibility results
+ * @returns {string} Table
+ */
+function renderTable(firmware, results) {
+  const rows = [['Project', 'Version', 'Status', 'Reason']]
+    .concat(results.map(result => [result.name, result.version || '-', result.status, result.reason]));
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  const format = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  const summary = summarize(results);
+
+  return [
+    `Compatibility with firmware ${firmware}`,
+    '',
+    format(rows[0]),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...rows.slice(1).map(format),
+    '',
+    `${summary.compatible} compatible, ${summary.incompatible} incompatible, ${summary.unknown} unknown`
+  ].join('\n');
+}
+
+/**
+ * Render results as Markdown
+ * @param {string} firmware - Console firmware version
+ * @param {Array<Object>} results - Compatibility results
+ * @returns {string} Markdown document
+ */
+function renderMarkdown(firmware, results) {
+  const summary = summarize(results);
+  const lines = [
+    `## Compatibility with firmware ${firmware}`,
+    '',
+    `${summary.compatible} compatible, ${summary.incompatible} incompatible, ${summary.unknown} unknown`
+  ];
+
+  for (const status of CONFIG.STATUS_ORDER) {
+    const items = results.filter(result => result.status === status);
+
+    if (items.length === 0) {
+      continue;
+    }
+
+    lines.push('', `### ${status[0].toUpperCase()}${status.slice(1)}`, '');
+    items.forEach(item => lines.push(`- **${item.name}**${item.version ? ` ${item.version}` : ''} (\`${item.project}\`): ${item.reason}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render results as JSON
+ * @param {string} firmware - Console firmware version
+ * @param {Array<Object>} results - Compatibility results
+ * @returns {string} JSON document
+ */
+function renderJson(firmware, results) {
+  return JSON.stringify({ firmware, summary: summarize(results), projects: results }, null, 2);
+}
+
+// ============================================================================
+// MAIN FUNCTION
+// ============================================================================
+
+/**
+ * Print the compatibility of all tracked projects with a firmware version
+ * @param {string} firmware - Console firmware version
+ * @param {string} format - Output format: "table", "json" or "markdown"
+ * @returns {Promise<void>}
+ */
+async function runCompat(firmware, format = 'table') {
+  try {
+    const parsed = parseFirmwareVersion(firmware);
+
+    if (!parsed) {
+      throw new Error(`Invalid firmware version: "${firmware}". Expected format: "X.Y.Z"`);
+    }
+
+    if (!CONFIG.FORMATS.includes(format)) {
+      throw new Error(`Invalid format "${format}". Expected one of: ${CONFIG.FORMATS.join(', ')}`);
+    }
+
+    const version = parsed.join('.');
+
+    if (!isKnownFirmware(await loadFirmwareCatalog(), version)) {
+      throw new Error(`Unknown firmware version: "${version}". Known versions are listed in config/firmware-catalog.yml`);
+    }
+    const results = checkCompatibility(await loadProjects(), await loadFirmwareRequirements(), version);
+    const renderers = { table: renderTable, json: renderJson, markdown: renderMarkdown };
+
+    console.log(renderers[format](version, results));
+  } catch (error) {
+    console.error('Error checking compatibility:', error.message);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// COMMAND LINE INTERFACE
+// ============================================================================
+
+/**
+ * Display usage information
+ */
+function showUsage() {
+  console.log('Usage: npm run compat -- <firmware_version> [--json | --markdown | --format=<format>]');
+  console.log('');
+  console.log('Arguments:');
+  console.log('  firmware_version  Console firmware version, e.g. 18.1.0');
+  console.log('  --format=<format> Output format: table (default), json or markdown');
+  console.log('');
+  console.log('Examples:');
+  console.log('  npm run compat -- 18.1.0');
+  console.log('  npm run compat -- 19.0.1 --markdown');
+  console.log('  npm run compat -- 20.2.0 --format=json');
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+// Run if this file is executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  let format = 'table';
+
+  for (const arg of args) {
+    if (arg === '--json' || arg === '--markdown') {
+      format = arg.slice(2);
+    } else if (arg.startsWith('--format=')) {
+      format = arg.slice('--format='.length);
+    }
+  }
+
+  if (positional.length !== 1) {
+    showUsage();
+    process.exit(1);
+  }
+
+  runCompat(positional[0], format);
+}
+
+// Export for testing or external use
+module.exports = {
+  runCompat,
+  checkCompatibility,
+  loadFirmwareRequirements
+};
@@ -0,0 +1,166 @@
+/**
+ * Firmware Keys Migration Script
+ *
+ * Rewrites config/firmware.yml so that entries keyed by a bare repository
+ * name ("hekate") are keyed by the full "owner/repo" of the tracked project
+ * ("CTCaer/hekate"). Legacy keys matching several projects are copied to
+ * each of them, which keeps the current behaviour, and reported for review.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const YAML = require('yaml');
+const fs = require('fs-extra');
+const path = require('path');
+const { normalizeFirmwareKey, isLegacyFirmwareKey } = require('../src/firmware');
+const { stringifyConfigDocument } = require('../src/config-yaml');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  PROJECTS_FILE: path.join(__dirname, '..', 'config', 'projects.yml'),
+  FIRMWARE_FILE: path.join(__dirname, '..', 'config', 'firmware.yml')
+};
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+/**
+ * Migrate firmware requirements to owner/repo keys
+ * @param {Object} requirements - firmware_requirements from firmware.yml
+ * @param {Array<string>} repos - "owner/repo" strings from projects.yml
+ * @returns {{requirements: Object, renamed: Array, ambiguous: Array, orphaned: Array<string>, duplicates: Array<string>}} Migrated requirements and report
+ */
+function migrateFirmwareKeys(requirements, repos) {
+  const migrated = {};
+  const report = { renamed: [], ambiguous: [], orphaned: [], duplicates: [] };
+  const fullKeys = new Set(Object.keys(requirements)
+    .filter(key => !isLegacyFirmwareKey(key))
+    .map(normalizeFirmwareKey));
+
+  for (const [key, entry] of Object.entries(requirements)) {
+    if (!isLegacyFirmwareKey(key)) {
+      migrated[key] = entry;
+      continue;
+    }
+
+    const matches = repos.filter(repo => normalizeFirmwareKey(repo.split('/').pop()) === normalizeFirmwareKey(key));
+
+    if (matches.length === 0) {
+      migrated[key] = entry;
+      report.orphaned.push(key);
+      continue;
+    }
+
+    if (matches.length > 1) {
+      report.ambiguous.push({ key, repos: matches });
+    }
+
+    for (const repo of matches) {
+      // An explicit owner/repo entry already wins over the legacy key
+      if (fullKeys.has(normalizeFirmwareKey(repo))) {
+        report.duplicates.push(`${key} -> ${repo}`);
+        continue;
+      }
+
+      migrated[repo] = entry;
+      fullKeys.add(normalizeFirmwareKey(repo));
+      report.renamed.push({ from: key, to: repo });
+    }
+  }
+
+  return { requirements: migrated, ...report };
+}
+
+/**
+ * Replace the firmware_requirements of a firmware.yml document. Entries
+ * whose key is unchanged keep their node; renamed entries keep the comment
+ * above their legacy key.
+ * @param {Object} document - firmware.yml YAML Document
+ * @param {{requirements: Object, renamed: Array<{from: string, to: string}>}} result - Result of migrateFirmwareKeys()
+ * @returns {void}
+ */
+function setFirmwareRequirements(document, { requirements, renamed }) {
+  const map = document.get('firmware_requirements', true);
+
+  if (!map) {
+    document.set('firmware_requirements', requirements);
+    return;
+  }
+
+  const pairs = new Map(map.items.map(pair => [String(pair.key), pair]));
+  const legacyKeys = new Map(renamed.map(({ from, to }) => [to, from]));
+
+  map.items = Object.entries(requirements).map(([key, entry]) => {
+    if (pairs.has(key)) {
+      return pairs.get(key);
+    }
+
+    const pair = document.createPair(key, entry);
+    const legacyPair = pairs.get(legacyKeys.get(key));
+    pair.key.commentBefore = legacyPair && legacyPair.key.commentBefore;
+    return pair;
+  });
+}
+
+// ============================================================================
+// MAIN FUNCTION
+// ============================================================================
+
+/**
+ * Rewrite firmware.yml with owner/repo keys
+ * @param {boolean} dryRun - Only print the changes
+ * @returns {Promise<void>}
+ */
+async function migrateFirmwareConfig(dryRun = false) {
+  try {
+    const projectsConfig = YAML.parse(await fs.readFile(CONFIG.PROJECTS_FILE, 'utf8'));
+    const firmwareDocument = YAML.parseDocument(await fs.readFile(CONFIG.FIRMWARE_FILE, 'utf8'));
+    const firmwareConfig = firmwareDocument.toJS();
+    const repos = projectsConfig.projects.map(project => project.repo);
+
+    const result = migrateFirmwareKeys(firmwareConfig.firmware_requirements || {}, repos);
+
+    result.renamed.forEach(({ from, to }) => console.log(`  ${from} -> ${to}`));
+    result.ambiguous.forEach(({ key, repos: matches }) =>
+      console.warn(`Warning: "${key}" matched ${matches.length} projects (${matches.join(', ')}), review the copied entries`));
+    result.duplicates.forEach(mapping =>
+      console.warn(`Warning: dropped ${mapping}, an owner/repo entry already exists`));
+    result.orphaned.forEach(key =>
+      console.warn(`Warning: "${key}" matches no tracked project, left unchanged`));
+
+    console.log(`\n${result.renamed.length} entries migrated, ${result.orphaned.length} left unchanged`);
+
+    if (dryRun) {
+      console.log('Dry run: firmware.yml not modified');
+      return;
+    }
+
+    setFirmwareRequirements(firmwareDocument, result);
+    await fs.writeFile(CONFIG.FIRMWARE_FILE, stringifyConfigDocument(firmwareDocument));
+
+    console.log(`Updated ${CONFIG.FIRMWARE_FILE}`);
+  } catch (error) {
+    console.error('Error migrating firmware config:', error.message);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+// Run if this file is executed directly
+if (require.main === module) {
+  migrateFirmwareConfig(process.argv.includes('--dry-run'));
+}
+
+// Export for testing or external use
+module.exports = {
+  migrateFirmwareConfig,
+  migrateFirmwareKeys
+};
@@ -0,0 +1,79 @@
+/**
+ * Configuration Validation Script
+ *
+ * Checks config/projects.yml and config/firmware.yml (schema, duplicates,
+ * firmware versions, orphaned firmware entries) and exits with a non-zero
+ * code on errors, for use as a pre-merge check.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { validateProjectsConfig, validateFirmwareConfig, formatIssue } = require('../src/config-validation');
+const { loadFirmwareCatalog } = require('../src/firmware-catalog');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  ROOT_DIR: path.join(__dirname, '..'),
+  PROJECTS_FILE: path.join('config', 'projects.yml'),
+  FIRMWARE_FILE: path.join('config', 'firmware.yml')
+};
+
+// ============================================================================
+// MAIN FUNCTION
+// ============================================================================
+
+/**
+ * Validate both configuration files and print the issues
+ * @param {boolean} strict - Treat warnings as errors
+ * @returns {Promise<void>}
+ */
+async function runValidate(strict = false) {
+  try {
+    const read = file => fs.readFile(path.join(CONFIG.ROOT_DIR, file), 'utf8');
+    const catalog = await loadFirmwareCatalog();
+
+    const projects = validateProjectsConfig(await read(CONFIG.PROJECTS_FILE), CONFIG.PROJECTS_FILE);
+    // Orphans can only be found when the project list is usable
+    const repos = projects.data ? projects.data.projects.map(project => project.repo) : null;
+    const firmware = validateFirmwareConfig(await read(CONFIG.FIRMWARE_FILE), CONFIG.FIRMWARE_FILE, { catalog, repos });
+
+    const issues = [...projects.issues, ...firmware.issues];
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const warnings = issues.length - errors;
+
+    issues.forEach(issue => (issue.severity === 'error' ? console.error : console.warn)(formatIssue(issue)));
+
+    if (issues.length) {
+      console.log('');
+    }
+
+    console.log(`${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+
+    if (errors || (strict && warnings)) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('Error validating configuration:', error.message);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+// Run if this file is executed directly
+if (require.main === module) {
+  runValidate(process.argv.includes('--strict'));
+}
+
+// Export for testing or external use
+module.exports = {
+  runValidate
+};
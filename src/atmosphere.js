@@ -0,0 +1,108 @@
+/**
+ * Atmosphère Requirements
+ *
+ * Projects can declare the minimum Atmosphère release they need with an
+ * `atmosphere` entry in projects.yml. Requirements are validated against
+ * Atmosphère's own release list (it is tracked like any other project) and
+ * checked against its latest stable release.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { compareFirmwareVersions } = require('./firmware');
+const { loadReleaseHistory } = require('./release-history');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  OWNER: 'Atmosphere-NX',
+  REPO: 'Atmosphere'
+};
+
+// ============================================================================
+// VERSIONS
+// ============================================================================
+
+/**
+ * Extract the version from an Atmosphère tag
+ * @param {string} tag - Release tag such as "1.7.1" or "v1.7.1"
+ * @returns {string|null} Version in format "X.Y.Z" or null
+ */
+function normalizeAtmosphereVersion(tag) {
+  const match = /^v?(\d+\.\d+\.\d+)/.exec(String(tag || ''));
+  return match ? match[1] : null;
+}
+
+/**
+ * Collect every known Atmosphère version from its release history and latest release
+ * @param {Object} atmosphere - Processed Atmosphère project data
+ * @returns {Promise<Set<string>|null>} Known versions, or null without stored release history
+ */
+async function loadAtmosphereVersions(atmosphere) {
+  const releases = await loadReleaseHistory(`${CONFIG.OWNER}/${CONFIG.REPO}`);
+
+  if (releases.length === 0) {
+    return null;
+  }
+
+  const tags = [...releases.map(release => release.tag), atmosphere.latestVersion, atmosphere.latestPrereleaseVersion];
+
+  return new Set(tags.map(normalizeAtmosphereVersion).filter(Boolean));
+}
+
+// ============================================================================
+// REQUIREMENTS
+// ============================================================================
+
+/**
+ * Set `requiredAtmosphere` on every project: the required version, the
+ * latest stable Atmosphère and whether it satisfies the requirement (null
+ * when that cannot be decided: invalid or unknown version, Atmosphère not
+ * tracked or not fetched).
+ * @param {Array<Object>} projects - Processed project data
+ * @param {Array<Object>} projectConfigs - Project entries from projects.yml
+ * @returns {Promise<number>} Number of projects with a requirement
+ */
+async function applyAtmosphereRequirements(projects, projectConfigs) {
+  const requirements = new Map(projectConfigs
+    .filter(project => project.atmosphere !== undefined)
+    .map(project => [project.repo, String(project.atmosphere)]));
+  const atmosphere = projects.find(project => project.projectUrl === `${CONFIG.OWNER}/${CONFIG.REPO}`);
+  const latest = atmosphere ? normalizeAtmosphereVersion(atmosphere.latestVersion) : null;
+  const knownVersions = atmosphere && requirements.size ? await loadAtmosphereVersions(atmosphere) : null;
+
+  if (requirements.size && !latest) {
+    console.warn(`${CONFIG.OWNER}/${CONFIG.REPO} has no release in this run, Atmosphère requirements cannot be checked`);
+  }
+
+  for (const project of projects) {
+    const version = requirements.get(project.projectUrl);
+
+    if (version === undefined) {
+      project.requiredAtmosphere = null;
+      continue;
+    }
+
+    let satisfied = null;
+
+    if (!/^\d+\.\d+\.\d+$/.test(version)) {
+      console.error(`Invalid Atmosphère requirement "${version}" for ${project.projectUrl}. Expected format: "X.Y.Z"`);
+    } else if (latest && knownVersions && !knownVersions.has(version)) {
+      console.error(`Unknown Atmosphère version ${version} required by ${project.projectUrl}`);
+    } else if (latest) {
+      satisfied = compareFirmwareVersions(latest, version) >= 0;
+    }
+
+    project.requiredAtmosphere = { version, latest, satisfied };
+  }
+
+  return requirements.size;
+}
+
+module.exports = {
+  applyAtmosphereRequirements,
+  normalizeAtmosphereVersion
+};
@@ -0,0 +1,232 @@
+/**
+ * Change Report
+ *
+ * Compares the output of the current run with the previous `projects.json`
+ * and produces a structured report of what changed: new releases, projects
+ * added to or removed from the configuration, failed fetches (kept as stale
+ * records), moved repositories, status changes (archived, taken down...),
+ * firmware requirement changes and big star jumps. The report is written as
+ * JSON and Markdown so the scheduled workflow can use it as commit message or
+ * job summary.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { getOutputPath } = require('./output-dir');
+const { formatFirmwareSpan } = require('./firmware');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  JSON_FILE: 'changes.json', // relative to the output directory
+  MARKDOWN_FILE: 'CHANGES.md',
+  STAR_JUMP_THRESHOLD: 50 // minimum star delta reported between two runs
+};
+
+// ============================================================================
+// REPORT BUILDING
+// ============================================================================
+
+/**
+ * Index projects by their "owner/repo" path
+ * @param {Array<Object>} projects - Project data
+ * @returns {Map<string, Object>} Projects keyed by projectUrl
+ */
+function indexProjects(projects) {
+  return new Map(projects.map(project => [project.projectUrl, project]));
+}
+
+/**
+ * Build the change report between two runs
+ * @param {Array<Object>} previousProjects - Projects from the previous output
+ * @param {Array<Object>} currentProjects - Projects processed in this run
+ * @param {Array<string>} configuredRepos - "owner/repo" strings from projects.yml
+ * @param {Date} date - Run date
+ * @returns {Object} Change report
+ */
+function buildChangeReport(previousProjects, currentProjects, configuredRepos, date = new Date()) {
+  const previous = indexProjects(previousProjects);
+  const current = indexProjects(currentProjects);
+  const configured = new Set(configuredRepos);
+  // Repositories rewritten to their new path during this run
+  const movedFrom = new Map(currentProjects
+    .filter(project => project.movedFrom)
+    .map(project => [project.projectUrl, project.movedFrom]));
+  const findPrevious = repo => previous.get(repo) || previous.get(movedFrom.get(repo));
+  const oldPaths = new Set(movedFrom.values());
+
+  const report = {
+    generatedAt: date.toISOString(),
+    newReleases: [],
+    addedProjects: configuredRepos.filter(repo => !findPrevious(repo)),
+    removedProjects: [...previous.keys()].filter(repo => !configured.has(repo) && !oldPaths.has(repo)),
+    failedProjects: configuredRepos.filter(repo => !current.has(repo) || current.get(repo).stale),
+    movedProjects: [],
+    statusChanges: [],
+    firmwareChanges: [],
+    starJumps: []
+  };
+
+  for (const [repo, project] of current) {
+    const before = findPrevious(repo);
+
+    if (project.movedFrom) {
+      report.movedProjects.push({ project: project.movedFrom, name: project.name, to: repo, rewritten: true });
+    } else if (project.movedTo && project.movedTo !== (before && before.movedTo)) {
+      report.movedProjects.push({ project: repo, name: project.name, to: project.movedTo, rewritten: false });
+    }
+
+    if (!before) {
+      continue;
+    }
+
+    const status = project.availability || 'active';
+    const previousStatus = before.availability || 'active';
+
+    if (status !== previousStatus) {
+      report.statusChanges.push({
+        project: repo,
+        name: project.name,
+        from: previousStatus,
+        to: status,
+        reason: project.unavailableReason || null
+      });
+    }
+
+    // Every push moves a commit version, only releases and tags are reported
+    if (project.latestVersion && project.latestVersion !== before.latestVersion && project.versionSource !== 'commit') {
+      report.newReleases.push({
+        project: repo,
+        name: project.name,
+        from: before.latestVersion,
+        to: project.latestVersion,
+        prerelease: false,
+        url: project.latestReleaseUrl
+      });
+    }
+
+    if (project.latestPrereleaseVersion && project.latestPrereleaseVersion !== before.latestPrereleaseVersion) {
+      report.newReleases.push({
+        project: repo,
+        name: project.name,
+        from: before.latestPrereleaseVersion || null,
+        to: project.latestPrereleaseVersion,
+        prerelease: true,
+        url: project.latestPrereleaseUrl
+      });
+    }
+
+    // Records written before supportedUpTo existed used requiredFirmware for either bound
+    if ('supportedUpTo' in before
+      && (project.requiredFirmware !== before.requiredFirmware || project.supportedUpTo !== before.supportedUpTo)) {
+      report.firmwareChanges.push({
+        project: repo,
+        name: project.name,
+        from: formatFirmwareSpan(before),
+        to: formatFirmwareSpan(project)
+      });
+    }
+
+    const starDelta = project.stars - before.stars;
+    if (Math.abs(starDelta) >= CONFIG.STAR_JUMP_THRESHOLD) {
+      report.starJumps.push({
+        project: repo,
+        name: project.name,
+        from: before.stars,
+        to: project.stars,
+        delta: starDelta
+      });
+    }
+  }
+
+  report.starJumps.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  report.summary = summarizeChangeReport(report);
+
+  return report;
+}
+
+/**
+ * Summarize a change report in one line
+ * @param {Object} report - Change report
+ * @returns {string} Summary, e.g. "2 new releases, 1 failed fetch"
+ */
+function summarizeChangeReport(report) {
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const parts = [];
+
+  if (report.newReleases.length) parts.push(plural(report.newReleases.length, 'new release'));
+  if (report.addedProjects.length) parts.push(plural(report.addedProjects.length, 'added project'));
+  if (report.removedProjects.length) parts.push(plural(report.removedProjects.length, 'removed project'));
+  if (report.failedProjects.length) parts.push(plural(report.failedProjects.length, 'failed fetch'));
+  if (report.movedProjects.length) parts.push(plural(report.movedProjects.length, 'moved project'));
+  if (report.statusChanges.length) parts.push(plural(report.statusChanges.length, 'status change'));
+  if (report.firmwareChanges.length) parts.push(plural(report.firmwareChanges.length, 'firmware change'));
+  if (report.starJumps.length) parts.push(plural(report.starJumps.length, 'star jump'));
+
+  return parts.length ? parts.join(', ') : 'No changes';
+}
+
+// ============================================================================
+// MARKDOWN RENDERING
+// ============================================================================
+
+/**
+ * Render a change report as Markdown
+ * @param {Object} report - Change report
+ * @returns {string} Markdown document
+ */
+function renderChangeReportMarkdown(report) {
+  const lines = [`## Tracker changes: ${report.summary}`, '', `_Generated at ${report.generatedAt}_`];
+
+  const section = (title, items, format) => {
+    if (items.length === 0) {
+      return;
+    }
+
+    lines.push('', `### ${title}`, '');
+    items.forEach(item => lines.push(`- ${format(item)}`));
+  };
+
+  section('New releases', report.newReleases, item =>
+    `**${item.name}**${item.prerelease ? ' (pre-release)' : ''}: ${item.from || 'none'} → [${item.to}](${item.url})`);
+  section('Added projects', report.addedProjects, repo => `\`${repo}\``);
+  section('Removed projects', report.removedProjects, repo => `\`${repo}\``);
+  section('Failed to fetch', report.failedProjects, repo => `\`${repo}\``);
+  section('Moved repositories', report.movedProjects, item =>
+    `**${item.name}**: \`${item.project}\` → \`${item.to}\`${item.rewritten ? ' (configuration updated)' : ''}`);
+  section('Status changes', report.statusChanges, item =>
+    `**${item.name}**: ${item.from} → ${item.to}${item.reason ? ` (${item.reason})` : ''}`);
+  section('Firmware requirement changes', report.firmwareChanges, item =>
+    `**${item.name}**: ${item.from} → ${item.to}`);
+  section('Star jumps', report.starJumps, item =>
+    `**${item.name}**: ${item.from} → ${item.to} (${item.delta > 0 ? '+' : ''}${item.delta})`);
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write the change report as JSON and Markdown
+ * @param {Object} report - Change report
+ * @returns {Promise<{jsonPath: string, markdownPath: string}>} Written file paths
+ */
+async function writeChangeReport(report) {
+  const jsonPath = getOutputPath(CONFIG.JSON_FILE);
+  const markdownPath = getOutputPath(CONFIG.MARKDOWN_FILE);
+
+  await fs.ensureDir(path.dirname(jsonPath));
+  await fs.writeJson(jsonPath, report, { spaces: 2 });
+  await fs.writeFile(markdownPath, renderChangeReportMarkdown(report));
+
+  return { jsonPath, markdownPath };
+}
+
+module.exports = {
+  buildChangeReport,
+  renderChangeReportMarkdown,
+  writeChangeReport
+};
@@ -0,0 +1,299 @@
+/**
+ * Configuration Validation
+ *
+ * Validates config/projects.yml and config/firmware.yml against their JSON
+ * Schemas (`schemas/`), then checks what a schema cannot express: duplicate
+ * repositories, unknown hosts, invalid firmware ranges, unknown firmware
+ * versions and firmware entries that match no tracked project. Every issue
+ * carries the line and column of the offending YAML node.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const YAML = require('yaml');
+const Ajv = require('ajv');
+const path = require('path');
+const {
+  normalizeFirmwareRequirement,
+  normalizeFirmwareKey,
+  isLegacyFirmwareKey
+} = require('./firmware');
+const { isKnownFirmware, findUnknownFirmware } = require('./firmware-catalog');
+const { parseRepoString, formatRepoString } = require('./providers/repo-string');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  PROJECTS_SCHEMA: path.join(__dirname, '..', 'schemas', 'projects-config.schema.json'),
+  FIRMWARE_SCHEMA: path.join(__dirname, '..', 'schemas', 'firmware-config.schema.json'),
+  // Readable messages for schema definitions, by schema path prefix (relative
+  // to the definition when Ajv compiles it separately, as for requirement and project)
+  MESSAGES: {
+    '#/definitions/nonEmptyString/': 'must be a non-empty string',
+    '#/definitions/version/': 'must be a version in format "X.Y.Z"',
+    '#/else/type': 'must be a version string or an object with min, max, range or broken',
+    '#/properties/repo/pattern': 'must be "owner/repo", "gitlab:group/repo", "codeberg:owner/repo" or a repository URL'
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateProjectsSchema = ajv.compile(require(CONFIG.PROJECTS_SCHEMA));
+const validateFirmwareSchema = ajv.compile(require(CONFIG.FIRMWARE_SCHEMA));
+
+// ============================================================================
+// YAML POSITIONS
+// ============================================================================
+
+/**
+ * Parse YAML keeping node positions
+ * @param {string} content - YAML content
+ * @param {string} file - File name used in issues
+ * @returns {{doc: Object, data: *, issues: Array<Object>, locate: Function}} Parsed document,
+ *   plain data (null on syntax errors), syntax issues and a `locate(path, key)` helper
+ */
+function parseYaml(content, file) {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(content, { lineCounter, prettyErrors: true });
+
+  const position = offset => {
+    const { line, col } = lineCounter.linePos(offset);
+    return { line, column: col };
+  };
+
+  /**
+   * Find the position of a node, or of a key of a map node
+   * @param {Array<string|number>} nodePath - Path from the document root
+   * @param {string} [key] - Key of the map at nodePath
+   * @returns {{line: number, column: number}} Position (the nearest existing parent when missing)
+   */
+  const locate = (nodePath, key) => {
+    for (let depth = nodePath.length; depth >= 0; depth--) {
+      const node = depth === 0 ? doc.contents : doc.getIn(nodePath.slice(0, depth), true);
+
+      if (!node || !node.range) {
+        continue;
+      }
+
+      const pair = key !== undefined && depth === nodePath.length && YAML.isMap(node)
+        ? node.items.find(item => item.key && String(item.key.value ?? item.key) === key)
+        : null;
+
+      return position(pair ? pair.key.range[0] : node.range[0]);
+    }
+
+    return { line: 1, column: 1 };
+  };
+
+  const issues = doc.errors.map(error => ({
+    file,
+    ...(error.linePos ? { line: error.linePos[0].line, column: error.linePos[0].col } : { line: 1, column: 1 }),
+    severity: 'error',
+    message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')
+  }));
+
+  return { doc, data: issues.length ? null : doc.toJS(), issues, locate };
+}
+
+/**
+ * Convert a JSON pointer to a YAML path
+ * @param {string} pointer - JSON pointer such as "/projects/3/tags/0"
+ * @returns {Array<string|number>} Path segments, numbers for sequence indexes
+ */
+function pointerToPath(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map(segment => (/^\d+$/.test(segment) ? Number(segment) : segment));
+}
+
+/**
+ * Format a YAML path for messages
+ * @param {Array<string|number>} nodePath - Path segments
+ * @returns {string} Path such as "projects[3].tags[0]"
+ */
+function formatPath(nodePath) {
+  return nodePath
+    .map((segment, index) => (typeof segment === 'number' ? `[${segment}]` : `${index ? '.' : ''}${segment}`))
+    .join('') || 'document';
+}
+
+/**
+ * Convert schema errors to issues
+ * @param {Array<Object>} errors - Ajv errors
+ * @param {string} file - File name used in issues
+ * @param {Function} locate - Position helper from parseYaml
+ * @returns {Array<Object>} Issues
+ */
+function schemaIssues(errors, file, locate) {
+  return (errors || [])
+    // if/then/else failures repeat the errors of the branch that was checked, and
+    // propertyNames reports the key its pattern rejected
+    .filter(error => error.keyword !== 'if' && error.propertyName === undefined)
+    .map(error => {
+      const nodePath = pointerToPath(error.instancePath);
+      const prefix = Object.keys(CONFIG.MESSAGES).find(schemaPath => error.schemaPath.startsWith(schemaPath));
+      let message = prefix ? CONFIG.MESSAGES[prefix] : error.message;
+      let key;
+
+      if (error.keyword === 'additionalProperties') {
+        key = error.params.additionalProperty;
+        message = `has unknown field "${key}"`;
+      } else if (error.keyword === 'required') {
+        message = `is missing required field "${error.params.missingProperty}"`;
+      } else if (error.keyword === 'enum') {
+        message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+      } else if (error.keyword === 'propertyNames') {
+        key = error.params.propertyName;
+        message = `has invalid key "${key}"`;
+      }
+
+      return { file, ...locate(nodePath, key), severity: 'error', message: `${formatPath(nodePath)} ${message}` };
+    });
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate projects.yml content
+ * @param {string} content - YAML content
+ * @param {string} file - File name used in issues
+ * @returns {{data: Object|null, issues: Array<Object>}} Parsed configuration (null if unusable) and issues
+ */
+function validateProjectsConfig(content, file = 'config/projects.yml') {
+  const { data, issues, locate } = parseYaml(content, file);
+
+  if (issues.length) {
+    return { data: null, issues };
+  }
+
+  if (!validateProjectsSchema(data)) {
+    return { data: null, issues: schemaIssues(validateProjectsSchema.errors, file, locate) };
+  }
+
+  const seen = new Map();
+
+  data.projects.forEach((project, index) => {
+    let key;
+    try {
+      // "owner/repo" and "https://github.com/owner/repo" are the same project
+      key = normalizeFirmwareKey(formatRepoString(parseRepoString(project.repo)));
+    } catch (error) {
+      issues.push({ file, ...locate(['projects', index, 'repo']), severity: 'error', message: error.message });
+      return;
+    }
+
+    if (seen.has(key)) {
+      issues.push({
+        file,
+        ...locate(['projects', index, 'repo']),
+        severity: 'error',
+        message: `Duplicate project ${project.repo} (first listed at line ${seen.get(key).line})`
+      });
+      return;
+    }
+
+    seen.set(key, locate(['projects', index, 'repo']));
+  });
+
+  return { data: issues.length ? null : data, issues };
+}
+
+/**
+ * Validate firmware.yml content
+ * @param {string} content - YAML content
+ * @param {string} file - File name used in issues
+ * @param {Object} [options] - Cross-file checks
+ * @param {Array<Object>} [options.catalog] - Firmware catalog, to reject unknown versions
+ * @param {Array<string>} [options.repos] - "owner/repo" strings from projects.yml, to find orphaned entries
+ * @returns {{data: Object|null, issues: Array<Object>}} Parsed configuration (null if unusable) and issues
+ */
+function validateFirmwareConfig(content, file = 'config/firmware.yml', { catalog = [], repos = null } = {}) {
+  const { data, issues, locate } = parseYaml(content, file);
+
+  if (issues.length) {
+    return { data: null, issues };
+  }
+
+  if (!validateFirmwareSchema(data)) {
+    return { data: null, issues: schemaIssues(validateFirmwareSchema.errors, file, locate) };
+  }
+
+  const requirements = data.firmware_requirements;
+  const seen = new Map();
+  const fullNames = new Set((repos || []).map(normalizeFirmwareKey));
+  const names = new Set((repos || []).map(repo => normalizeFirmwareKey(repo.split('/').pop())));
+  const issue = (key, severity, message) => issues.push({
+    file,
+    ...locate(['firmware_requirements'], key),
+    severity,
+    message: `${key}: ${message}`
+  });
+
+  if (data.default_firmware && catalog.length && !isKnownFirmware(catalog, data.default_firmware)) {
+    issues.push({
+      file,
+      ...locate(['default_firmware']),
+      severity: 'error',
+      message: `default_firmware ${data.default_firmware} is not in the firmware catalog`
+    });
+  }
+
+  for (const [key, entry] of Object.entries(requirements)) {
+    const normalizedKey = normalizeFirmwareKey(key);
+
+    if (seen.has(normalizedKey)) {
+      issue(key, 'error', `duplicates ${seen.get(normalizedKey)} (keys are case-insensitive)`);
+      continue;
+    }
+
+    seen.set(normalizedKey, key);
+
+    let requirement;
+    try {
+      requirement = normalizeFirmwareRequirement(entry);
+    } catch (error) {
+      issue(key, 'error', error.message);
+      continue;
+    }
+
+    const unknown = catalog.length ? findUnknownFirmware(catalog, requirement) : [];
+    if (unknown.length) {
+      issue(key, 'error', `unknown firmware version(s) ${unknown.join(', ')}`);
+    }
+
+    if (!repos) {
+      continue;
+    }
+
+    if (isLegacyFirmwareKey(key)) {
+      issue(key, 'warning', names.has(normalizedKey)
+        ? 'legacy name-only key, run "npm run migrate-firmware"'
+        : 'matches no tracked project');
+    } else if (!fullNames.has(normalizedKey)) {
+      issue(key, 'warning', 'matches no tracked project');
+    }
+  }
+
+  return { data: issues.some(item => item.severity === 'error') ? null : data, issues };
+}
+
+/**
+ * Format an issue as "file:line:column: severity: message"
+ * @param {Object} issue - Validation issue
+ * @returns {string} Formatted issue
+ */
+function formatIssue(issue) {
+  return `${issue.file}:${issue.line}:${issue.column}: ${issue.severity}: ${issue.message}`;
+}
+
+module.exports = {
+  validateProjectsConfig,
+  validateFirmwareConfig,
+  formatIssue
+};
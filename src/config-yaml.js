@@ -0,0 +1,36 @@
+/**
+ * Configuration YAML Output
+ *
+ * Serializes edited configuration documents (config/projects.yml,
+ * config/firmware.yml) the way the hand-written files are formatted, so the
+ * scripts that rewrite them only change the entries they touch.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  // Match the hand-written files: quoted values, no line folding
+  YAML_OUTPUT: { defaultStringType: 'QUOTE_DOUBLE', defaultKeyType: 'PLAIN', flowCollectionPadding: false, lineWidth: 0 }
+};
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+/**
+ * Serialize a configuration document in the style of the configuration files
+ * @param {Object} document - yaml Document from YAML.parseDocument
+ * @returns {string} YAML text
+ */
+function stringifyConfigDocument(document) {
+  return document.toString(CONFIG.YAML_OUTPUT);
+}
+
+module.exports = {
+  stringifyConfigDocument
+};
@@ -0,0 +1,262 @@
+/**
+ * Release Feeds
+ *
+ * Generates Atom, RSS 2.0 and JSON Feed files of homebrew releases so users
+ * can subscribe instead of visiting the site. Entries come from the release
+ * history files, one entry per release, with a global feed of the most
+ * recent releases across all projects and one feed per project.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { loadReleaseHistory } = require('./release-history');
+const { parseRepoString, getRepoFileName } = require('./providers/repo-string');
+const { getOutputPath } = require('./output-dir');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  FEEDS_DIR: 'feeds', // relative to the output directory
+  SITE_URL: (process.env.NX_SITE_URL || 'https://nxhub.pw').replace(/\/$/, ''),
+  FEEDS_PATH: 'data/feeds', // where the feeds are published on the site
+  FEED_TITLE: 'NX Projects Tracker - Homebrew Releases',
+  FEED_DESCRIPTION: 'New releases of Nintendo Switch homebrew projects',
+  MAX_ENTRIES: 50,
+  PROJECT_MAX_ENTRIES: 20,
+  EXCERPT_LENGTH: 500
+};
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+/**
+ * Build a plain-text excerpt of a markdown changelog
+ * @param {string} body - Release body in markdown
+ * @returns {string} Excerpt
+ */
+function createExcerpt(body) {
+  const text = (body || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^#+\s*/gm, '')
+    .replace(/[*_`>]/g, '')
+    .replace(/\r/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (text.length <= CONFIG.EXCERPT_LENGTH) {
+    return text;
+  }
+
+  return `${text.slice(0, CONFIG.EXCERPT_LENGTH).trimEnd()}…`;
+}
+
+/**
+ * Get feed entries for a project from its release history, falling back to
+ * the latest release when no history is stored
+ * @param {Object} project - Processed project data
+ * @returns {Promise<Array<Object>>} Feed entries, newest first
+ */
+async function getProjectEntries(project) {
+  let releases = await loadReleaseHistory(project.projectUrl);
+
+  if (releases.length === 0 && project.latestVersion) {
+    releases = [{
+      tag: project.latestVersion,
+      date: project.latestReleaseDate,
+      prerelease: false,
+      url: project.latestReleaseUrl,
+      body: ''
+    }];
+  }
+
+  return releases
+    .filter(release => release.date)
+    .map(release => {
+      const url = release.url || `${project.projectFullUrl}/releases/tag/${encodeURIComponent(release.tag)}`;
+
+      return {
+        id: url,
+        url,
+        title: `${project.name} ${release.tag}${release.prerelease ? ' (pre-release)' : ''}`,
+        date: release.date,
+        projectName: project.name,
+        projectUrl: project.projectUrl,
+        author: project.author,
+        version: release.tag,
+        prerelease: release.prerelease,
+        excerpt: createExcerpt(release.body)
+      };
+    });
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    // Control characters are not allowed in XML 1.0 documents
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render an Atom 1.0 feed
+ * @param {Object} feed - Feed metadata ({title, description, homeUrl, feedUrl, updated})
+ * @param {Array<Object>} entries - Feed entries
+ * @returns {string} Atom XML
+ */
+function renderAtom(feed, entries) {
+  const items = entries.map(entry => `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" href="${escapeXml(entry.url)}"/>
+    <updated>${escapeXml(new Date(entry.date).toISOString())}</updated>
+    <author><name>${escapeXml(entry.author)}</name></author>
+    <category term="${escapeXml(entry.projectUrl)}"/>
+    <summary>${escapeXml(entry.excerpt || entry.title)}</summary>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" href="${escapeXml(feed.feedUrl)}"/>
+  <link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>
+  <updated>${escapeXml(feed.updated)}</updated>
+  <author><name>NX Projects Tracker</name></author>
+${items.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Render an RSS 2.0 feed
+ * @param {Object} feed - Feed metadata ({title, description, homeUrl, feedUrl, updated})
+ * @param {Array<Object>} entries - Feed entries
+ * @returns {string} RSS XML
+ */
+function renderRss(feed, entries) {
+  const items = entries.map(entry => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="true">${escapeXml(entry.id)}</guid>
+      <pubDate>${escapeXml(new Date(entry.date).toUTCString())}</pubDate>
+      <category>${escapeXml(entry.projectUrl)}</category>
+      <description>${escapeXml(entry.excerpt || entry.title)}</description>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${escapeXml(new Date(feed.updated).toUTCString())}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Render a JSON Feed 1.1
+ * @param {Object} feed - Feed metadata ({title, description, homeUrl, feedUrl, updated})
+ * @param {Array<Object>} entries - Feed entries
+ * @returns {string} JSON Feed document
+ */
+function renderJsonFeed(feed, entries) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    items: entries.map(entry => ({
+      id: entry.id,
+      url: entry.url,
+      title: entry.title,
+      content_text: entry.excerpt || entry.title,
+      date_published: new Date(entry.date).toISOString(),
+      authors: [{ name: entry.author }],
+      tags: [entry.projectUrl, entry.prerelease ? 'pre-release' : 'release']
+    }))
+  }, null, 2);
+}
+
+// ============================================================================
+// FEED GENERATION
+// ============================================================================
+
+/**
+ * Write one feed in all three formats
+ * @param {string} relativeBase - Path of the feed below the feeds directory, without extension
+ * @param {Object} metadata - Feed title and description
+ * @param {Array<Object>} entries - Feed entries, newest first
+ * @returns {Promise<void>}
+ */
+async function writeFeed(relativeBase, metadata, entries) {
+  const baseUrl = `${CONFIG.SITE_URL}/${CONFIG.FEEDS_PATH}/${relativeBase}`;
+  const updated = entries.length ? new Date(entries[0].date).toISOString() : new Date(0).toISOString();
+  const basePath = getOutputPath(CONFIG.FEEDS_DIR, relativeBase);
+
+  await fs.ensureDir(path.dirname(basePath));
+  await fs.writeFile(`${basePath}.atom`, renderAtom({ ...metadata, homeUrl: CONFIG.SITE_URL, feedUrl: `${baseUrl}.atom`, updated }, entries));
+  await fs.writeFile(`${basePath}.rss`, renderRss({ ...metadata, homeUrl: CONFIG.SITE_URL, feedUrl: `${baseUrl}.rss`, updated }, entries));
+  await fs.writeFile(`${basePath}.json`, renderJsonFeed({ ...metadata, homeUrl: CONFIG.SITE_URL, feedUrl: `${baseUrl}.json`, updated }, entries));
+}
+
+/**
+ * Generate the global release feed and one feed per project
+ * @param {Array<Object>} projects - Processed project data
+ * @returns {Promise<{entries: number, feedsDir: string}>} Number of entries in the global feed and output directory
+ */
+async function writeFeeds(projects) {
+  const byDate = (a, b) => new Date(b.date) - new Date(a.date);
+  const allEntries = [];
+
+  for (const project of projects) {
+    const entries = (await getProjectEntries(project)).sort(byDate);
+    allEntries.push(...entries);
+
+    await writeFeed(`projects/${getRepoFileName(parseRepoString(project.projectUrl))}`, {
+      title: `${project.name} releases - NX Projects Tracker`,
+      description: `New releases of ${project.projectUrl}`
+    }, entries.slice(0, CONFIG.PROJECT_MAX_ENTRIES));
+  }
+
+  const latestEntries = allEntries.sort(byDate).slice(0, CONFIG.MAX_ENTRIES);
+
+  await writeFeed('releases', {
+    title: CONFIG.FEED_TITLE,
+    description: CONFIG.FEED_DESCRIPTION
+  }, latestEntries);
+
+  return { entries: latestEntries.length, feedsDir: getOutputPath(CONFIG.FEEDS_DIR) };
+}
+
+module.exports = {
+  writeFeeds,
+  renderAtom,
+  renderRss,
+  renderJsonFeed
+};
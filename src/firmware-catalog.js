@@ -0,0 +1,131 @@
+/**
+ * Firmware Catalog
+ *
+ * Loads the catalog of actual Nintendo Switch system firmware versions
+ * (`config/firmware-catalog.yml`) so firmware references can be checked
+ * against versions that exist instead of any "X.Y.Z" string.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const YAML = require('yaml');
+const fs = require('fs-extra');
+const path = require('path');
+const { compareFirmwareVersions } = require('./firmware');
+const { parseRepoString, fetchLatestRelease } = require('./providers');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  CATALOG_FILE: path.join(__dirname, '..', 'config', 'firmware-catalog.yml'),
+  // Firmware dumps, one release per system firmware tagged with its version
+  LATEST_SOURCE: 'THZoria/NX_Firmware'
+};
+
+// ============================================================================
+// CATALOG LOADING
+// ============================================================================
+
+/**
+ * Load and validate the firmware catalog
+ * @returns {Promise<Array<{version: string, released: string}>>} Catalog entries, newest first
+ * @throws {Error} If the catalog cannot be read or contains invalid entries
+ */
+async function loadFirmwareCatalog() {
+  const content = await fs.readFile(CONFIG.CATALOG_FILE, 'utf8');
+  const entries = (YAML.parse(content) || {}).firmware_versions;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`${CONFIG.CATALOG_FILE} has no firmware_versions`);
+  }
+
+  const seen = new Set();
+
+  for (const entry of entries) {
+    const { version, released } = entry || {};
+
+    if (typeof version !== 'string' || !/^\d+\.\d+\.\d+$/.test(version)) {
+      throw new Error(`Invalid catalog version "${version}". Expected format: "X.Y.Z"`);
+    }
+
+    if (typeof released !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(released) || isNaN(new Date(released))) {
+      throw new Error(`Invalid release date "${released}" for firmware ${version}. Expected format: "YYYY-MM-DD"`);
+    }
+
+    if (seen.has(version)) {
+      throw new Error(`Duplicate catalog version ${version}`);
+    }
+
+    seen.add(version);
+  }
+
+  return entries
+    .map(({ version, released }) => ({ version, released }))
+    .sort((a, b) => compareFirmwareVersions(b.version, a.version));
+}
+
+/**
+ * Look for a firmware newer than the catalog in the latest release of
+ * THZoria/NX_Firmware, so the newest firmware does not depend on the catalog
+ * being updated. Its publish date stands in for the release date.
+ * @param {Array<Object>} catalog - Catalog entries, newest first
+ * @returns {Promise<{version: string, released: string}|null>} Newer firmware or null
+ * @throws {Error} On network and API errors
+ */
+async function fetchNewerFirmware(catalog) {
+  const release = await fetchLatestRelease(parseRepoString(CONFIG.LATEST_SOURCE));
+  const match = release && /^v?(\d+\.\d+\.\d+)$/.exec(release.tag_name || '');
+  const latest = getLatestFirmware(catalog);
+
+  if (!match || !release.published_at || (latest && compareFirmwareVersions(match[1], latest.version) <= 0)) {
+    return null;
+  }
+
+  return { version: match[1], released: release.published_at.slice(0, 10) };
+}
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+/**
+ * Check whether a firmware version exists in the catalog
+ * @param {Array<Object>} catalog - Catalog entries
+ * @param {string} version - Firmware version
+ * @returns {boolean} True if the version is known
+ */
+function isKnownFirmware(catalog, version) {
+  return catalog.some(entry => entry.version === version);
+}
+
+/**
+ * Get the newest firmware in the catalog
+ * @param {Array<Object>} catalog - Catalog entries, newest first
+ * @returns {Object|null} Newest entry or null for an empty catalog
+ */
+function getLatestFirmware(catalog) {
+  return catalog[0] || null;
+}
+
+/**
+ * List the versions of a firmware requirement that are not in the catalog.
+ * Range bounds are not checked: "<21.0.0" is a valid bound before 21.0.0 exists.
+ * @param {Array<Object>} catalog - Catalog entries
+ * @param {{min: string|null, max: string|null, range: string|null, broken: Array<string>}} requirement - Normalized requirement
+ * @returns {Array<string>} Unknown versions
+ */
+function findUnknownFirmware(catalog, requirement) {
+  const versions = [requirement.range ? null : requirement.min, requirement.max, ...requirement.broken];
+  return versions.filter(version => version && !isKnownFirmware(catalog, version));
+}
+
+module.exports = {
+  loadFirmwareCatalog,
+  fetchNewerFirmware,
+  isKnownFirmware,
+  getLatestFirmware,
+  findUnknownFirmware
+};
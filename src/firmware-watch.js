@@ -0,0 +1,115 @@
+/**
+ * Firmware Watch
+ *
+ * Answers "which homebrew has been updated since the last system update?":
+ * every project is classified against the newest firmware of the catalog as
+ * released after the firmware, declaring support for it, or not yet updated.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { compareFirmwareVersions, satisfiesFirmwareRange } = require('./firmware');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  ACTIVE_DAYS: 60, // the webapp banner is shown this long after a firmware release
+  STATUSES: ['released-after', 'declares-support', 'not-updated']
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * Check whether a project declares support for a firmware: a detected
+ * statement at or above it, or a firmware.yml requirement reaching it
+ * (minimum or maximum at or above it, or a range including it). Versions
+ * listed as broken never count.
+ * @param {Object} project - Processed project data
+ * @param {string} version - Firmware version
+ * @returns {boolean} True if support is declared
+ */
+function declaresSupport(project, version) {
+  const requirement = project.firmware;
+
+  if (requirement && requirement.broken.some(broken => compareFirmwareVersions(broken, version) === 0)) {
+    return false;
+  }
+
+  if (project.detectedFirmware && compareFirmwareVersions(project.detectedFirmware.version, version) >= 0) {
+    return true;
+  }
+
+  if (!requirement || requirement.source !== 'config') {
+    return false;
+  }
+
+  return Boolean(
+    (requirement.min && compareFirmwareVersions(requirement.min, version) >= 0) ||
+    (requirement.max && compareFirmwareVersions(requirement.max, version) >= 0) ||
+    (requirement.range && satisfiesFirmwareRange(version, requirement.range))
+  );
+}
+
+/**
+ * Classify a project against a firmware release
+ * @param {Object} project - Processed project data
+ * @param {{version: string, released: string}} firmware - Firmware catalog entry
+ * @returns {string} "released-after", "declares-support" or "not-updated"
+ */
+function classifyProject(project, firmware) {
+  const releaseDates = [project.latestReleaseDate, project.latestPrereleaseDate].filter(Boolean);
+
+  if (releaseDates.some(date => new Date(date) >= new Date(firmware.released))) {
+    return 'released-after';
+  }
+
+  return declaresSupport(project, firmware.version) ? 'declares-support' : 'not-updated';
+}
+
+/**
+ * Build the firmware watch report. Hidden projects are left out, as the
+ * webapp does not list them.
+ * @param {Array<Object>} projects - Processed project data
+ * @param {{version: string, released: string}|null} firmware - Newest firmware of the catalog
+ * @param {Date} now - Run date
+ * @returns {Object|null} Report, or null without a firmware catalog
+ */
+function buildFirmwareWatch(projects, firmware, now = new Date()) {
+  if (!firmware) {
+    return null;
+  }
+
+  const summary = Object.fromEntries(CONFIG.STATUSES.map(status => [status, 0]));
+  const entries = projects.filter(project => !project.hidden).map(project => {
+    const status = classifyProject(project, firmware);
+    summary[status]++;
+
+    return {
+      project: project.projectUrl,
+      name: project.name,
+      status,
+      latestVersion: project.latestVersion,
+      latestReleaseDate: project.latestReleaseDate
+    };
+  });
+
+  return {
+    firmware: firmware.version,
+    released: firmware.released,
+    active: now - new Date(firmware.released) <= CONFIG.ACTIVE_DAYS * DAY_MS,
+    summary,
+    projects: entries
+  };
+}
+
+module.exports = {
+  buildFirmwareWatch,
+  classifyProject
+};
@@ -0,0 +1,505 @@
+/**
+ * Firmware Utilities
+ *
+ * Firmware version parsing and comparison, firmware requirement entries
+ * (plain newest supported version, min/max bounds, semver-style ranges and
+ * known broken versions), and detection of firmware compatibility statements
+ * ("supports 20.1.0", "HOS 19.0.0+", "firmware 18.x compatible") in release
+ * notes and READMEs.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  // Switch system firmware majors are far below this; anything higher is an app version
+  MAX_FIRMWARE_MAJOR: 30
+};
+
+const VERSION_PATTERN = '(\\d{1,2})\\.(\\d{1,2}|x)(?:\\.(\\d{1,2}|x))?(?![\\d.]*\\d)';
+
+const FIRMWARE_PATTERNS = [
+  // "HOS 19.0.0+", "firmware 20.1.0", "FW 18.x", "system version 19.0.1"
+  new RegExp(`\\b(?:hos|horizon(?:\\s*os)?|firmwares?|fw|system\\s+(?:version|update)|sysver)\\s*:?\\s*(?:v(?:ersion)?\\s*)?${VERSION_PATTERN}`, 'gi'),
+  // "supports 20.1.0", "support for 20.1.0", "compatible with 19.0.0", "up to 20.0.1"
+  new RegExp(`\\b(?:supports?(?:\\s+for)?|compatible\\s+with|works\\s+on|up\\s+to)\\s+(?:(?:hos|firmware|fw)\\s+)?${VERSION_PATTERN}`, 'gi'),
+  // "20.1.0 support", "18.x compatible", "19.0.0 firmware"
+  new RegExp(`(?<![\\w.])${VERSION_PATTERN}\\+?\\s+(?:support|compatib\\w*|firmware|fw|hos)\\b`, 'gi')
+];
+
+// ============================================================================
+// VERSION PARSING
+// ============================================================================
+
+/**
+ * Parse a firmware version string
+ * @param {string} version - Version in format "X.Y.Z" (missing parts default to 0)
+ * @returns {Array<number>|null} [major, minor, patch] or null if invalid
+ */
+function parseFirmwareVersion(version) {
+  const match = /^(\d+)(?:\.(\d+))?(?:\.(\d+))?$/.exec(String(version).trim());
+
+  if (!match) {
+    return null;
+  }
+
+  return [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0)];
+}
+
+/**
+ * Compare two firmware versions
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ * @throws {Error} If either version is invalid
+ */
+function compareFirmwareVersions(a, b) {
+  const left = parseFirmwareVersion(a);
+  const right = parseFirmwareVersion(b);
+
+  if (!left || !right) {
+    throw new Error(`Cannot compare firmware versions "${a}" and "${b}"`);
+  }
+
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) {
+      return left[i] - right[i];
+    }
+  }
+
+  return 0;
+}
+
+// ============================================================================
+// RANGES
+// ============================================================================
+
+/**
+ * Expand one range token into comparators
+ * @param {string} token - Token such as ">=10.0.0", "^19.0.0", "~19.1.0" or "19.x"
+ * @returns {Array<{operator: string, version: string}>} Comparators
+ * @throws {Error} If the token is invalid
+ */
+function parseRangeToken(token) {
+  const match = /^(>=|<=|>|<|=|\^|~)?v?(\*|x|\d+)(?:\.(\*|x|\d+))?(?:\.(\*|x|\d+))?$/i.exec(token);
+
+  if (!match) {
+    throw new Error(`Invalid firmware range token: "${token}"`);
+  }
+
+  const [, operator = '', ...rawParts] = match;
+  const parts = rawParts.filter(part => part !== undefined);
+  const wildcardIndex = parts.findIndex(part => /^[*x]$/i.test(part));
+
+  // A wildcard major leaves nothing for ">=", "^" or "~" to bound
+  if (wildcardIndex === 0 && operator !== '' && operator !== '=') {
+    throw new Error(`Invalid firmware range token: "${token}"`);
+  }
+
+  const fixed = (wildcardIndex === -1 ? parts : parts.slice(0, wildcardIndex)).map(Number);
+  const version = [fixed[0] || 0, fixed[1] || 0, fixed[2] || 0].join('.');
+
+  if (operator === '^' || operator === '~') {
+    const upper = operator === '^' || fixed.length < 2
+      ? `${fixed[0] + 1}.0.0`
+      : `${fixed[0]}.${fixed[1] + 1}.0`;
+    return [{ operator: '>=', version }, { operator: '<', version: upper }];
+  }
+
+  // Partial versions without operator are x-ranges: "19" and "19.x" mean any 19 release
+  if ((operator === '' || operator === '=') && fixed.length < 3) {
+    if (fixed.length === 0) {
+      return [];
+    }
+
+    const upper = fixed.length === 1 ? `${fixed[0] + 1}.0.0` : `${fixed[0]}.${fixed[1] + 1}.0`;
+    return [{ operator: '>=', version }, { operator: '<', version: upper }];
+  }
+
+  return [{ operator: operator || '=', version }];
+}
+
+/**
+ * Parse a semver-style firmware range. Supported syntax: comparators
+ * (">=10.0.0 <20.0.0"), hyphen ranges ("10.0.0 - 19.0.1"), x-ranges ("19.x"),
+ * caret and tilde ranges ("^19.0.0", "~19.1.0") and alternatives ("||").
+ * @param {string} range - Range expression
+ * @returns {Array<Array<{operator: string, version: string}>>} Alternatives of comparator sets
+ * @throws {Error} If the range is invalid
+ */
+function parseFirmwareRange(range) {
+  return String(range).split('||').map(alternative => {
+    const trimmed = alternative.trim();
+    const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(trimmed);
+
+    if (hyphen) {
+      return [
+        ...parseRangeToken(`>=${hyphen[1]}`),
+        ...parseRangeToken(`<=${hyphen[2]}`)
+      ];
+    }
+
+    if (trimmed === '') {
+      throw new Error(`Invalid firmware range: "${range}"`);
+    }
+
+    // Allow a space between operator and version (">= 10.0.0")
+    const tokens = trimmed.replace(/(>=|<=|>|<|=)\s+/g, '$1').split(/\s+/);
+    return tokens.flatMap(parseRangeToken);
+  });
+}
+
+/**
+ * Check whether a version satisfies a comparator
+ * @param {string} version - Firmware version
+ * @param {{operator: string, version: string}} comparator - Comparator
+ * @returns {boolean} True if satisfied
+ */
+function satisfiesComparator(version, { operator, version: bound }) {
+  const comparison = compareFirmwareVersions(version, bound);
+
+  switch (operator) {
+    case '>=': return comparison >= 0;
+    case '<=': return comparison <= 0;
+    case '>': return comparison > 0;
+    case '<': return comparison < 0;
+    default: return comparison === 0;
+  }
+}
+
+/**
+ * Check whether a firmware version satisfies a range
+ * @param {string} version - Firmware version
+ * @param {string} range - Range expression
+ * @returns {boolean} True if the version is in the range
+ */
+function satisfiesFirmwareRange(version, range) {
+  return parseFirmwareRange(range).some(comparators =>
+    comparators.every(comparator => satisfiesComparator(version, comparator)));
+}
+
+/**
+ * Get the lowest version allowed by a range
+ * @param {string} range - Range expression
+ * @returns {string|null} Lowest bound or null if the range is unbounded below
+ */
+function getRangeMinimum(range) {
+  let minimum = null;
+
+  for (const comparators of parseFirmwareRange(range)) {
+    const lower = comparators.filter(c => c.operator === '>=' || c.operator === '>' || c.operator === '=');
+
+    if (lower.length === 0) {
+      return null;
+    }
+
+    const bound = lower.reduce((highest, c) => compareFirmwareVersions(c.version, highest) > 0 ? c.version : highest, lower[0].version);
+    if (!minimum || compareFirmwareVersions(bound, minimum) < 0) {
+      minimum = bound;
+    }
+  }
+
+  return minimum;
+}
+
+// ============================================================================
+// REQUIREMENTS
+// ============================================================================
+
+/**
+ * Validate a plain firmware version from firmware.yml
+ * @param {string} version - Version to validate
+ * @param {string} field - Field name used in the error message
+ * @returns {string} The version
+ * @throws {Error} If the version is not in format "X.Y.Z"
+ */
+function assertFirmwareVersion(version, field) {
+  if (typeof version !== 'string' || !/^\d+\.\d+\.\d+$/.test(version)) {
+    throw new Error(`Invalid ${field} firmware "${version}". Expected format: "X.Y.Z"`);
+  }
+
+  return version;
+}
+
+/**
+ * Normalize a firmware.yml entry. The plain string form is the newest
+ * firmware the project is known to work on (a maximum, as the existing
+ * entries were written); the object form accepts `min`, `max`, `range` and
+ * `broken`.
+ * @param {string|Object} entry - Entry from firmware_requirements
+ * @returns {{min: string|null, max: string|null, range: string|null, broken: Array<string>}} Normalized requirement
+ * @throws {Error} If the entry is invalid
+ */
+function normalizeFirmwareRequirement(entry) {
+  if (typeof entry === 'string') {
+    return { min: null, max: assertFirmwareVersion(entry, 'supported'), range: null, broken: [] };
+  }
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('Firmware requirement must be a version string or an object with min, max, range or broken');
+  }
+
+  const unknownKeys = Object.keys(entry).filter(key => !['min', 'max', 'range', 'broken'].includes(key));
+  if (unknownKeys.length) {
+    throw new Error(`Unknown firmware requirement field(s): ${unknownKeys.join(', ')}`);
+  }
+
+  const requirement = {
+    min: entry.min ? assertFirmwareVersion(entry.min, 'minimum') : null,
+    max: entry.max ? assertFirmwareVersion(entry.max, 'maximum') : null,
+    range: entry.range ? String(entry.range) : null,
+    broken: (entry.broken || []).map(version => assertFirmwareVersion(version, 'broken'))
+  };
+
+  if (requirement.range) {
+    // Parse once so invalid ranges fail while loading the config
+    parseFirmwareRange(requirement.range);
+    requirement.min = requirement.min || getRangeMinimum(requirement.range);
+  }
+
+  if (requirement.min && requirement.max && compareFirmwareVersions(requirement.min, requirement.max) > 0) {
+    throw new Error(`Minimum firmware ${requirement.min} is higher than maximum ${requirement.max}`);
+  }
+
+  return requirement;
+}
+
+/**
+ * Check whether a firmware version meets a requirement
+ * @param {{min: string|null, max: string|null, range: string|null, broken: Array<string>}} requirement - Normalized requirement
+ * @param {string} version - Console firmware version
+ * @returns {{compatible: boolean, reason: string}} Result and human-readable reason
+ */
+function checkFirmwareRequirement(requirement, version) {
+  if (requirement.broken.some(broken => compareFirmwareVersions(broken, version) === 0)) {
+    return { compatible: false, reason: `known broken on ${version}` };
+  }
+
+  if (requirement.min && compareFirmwareVersions(version, requirement.min) < 0) {
+    return { compatible: false, reason: `requires ${requirement.min} or newer` };
+  }
+
+  if (requirement.max && compareFirmwareVersions(version, requirement.max) > 0) {
+    return { compatible: false, reason: `supports up to ${requirement.max}` };
+  }
+
+  if (requirement.range && !satisfiesFirmwareRange(version, requirement.range)) {
+    return { compatible: false, reason: `outside supported range ${requirement.range}` };
+  }
+
+  return { compatible: true, reason: 'meets requirement' };
+}
+
+/**
+ * Describe the firmware span of a project for logs and reports
+ * @param {{requiredFirmware: string|null, supportedUpTo?: string|null}} project - Project data
+ * @returns {string} "18.0.0+", "up to 20.2.0", "18.0.0 to 20.2.0" or "unknown"
+ */
+function formatFirmwareSpan({ requiredFirmware, supportedUpTo = null }) {
+  if (requiredFirmware && supportedUpTo) {
+    return `${requiredFirmware} to ${supportedUpTo}`;
+  }
+
+  if (requiredFirmware) {
+    return `${requiredFirmware}+`;
+  }
+
+  return supportedUpTo ? `up to ${supportedUpTo}` : 'unknown';
+}
+
+// ============================================================================
+// CONFIGURATION KEYS
+// ============================================================================
+
+/**
+ * Normalize a firmware.yml key. Keys are "owner/repo" and case-insensitive;
+ * legacy keys are a bare repository name.
+ * @param {string} key - Key from firmware_requirements
+ * @returns {string} Lowercase key
+ */
+function normalizeFirmwareKey(key) {
+  return String(key).trim().toLowerCase();
+}
+
+/**
+ * Check whether a firmware.yml key is a legacy name-only key
+ * @param {string} key - Key from firmware_requirements
+ * @returns {boolean} True if the key has no owner
+ */
+function isLegacyFirmwareKey(key) {
+  return !String(key).includes('/');
+}
+
+/**
+ * Index firmware.yml entries by normalized key, normalizing each entry
+ * @param {Object} entries - firmware_requirements from firmware.yml
+ * @param {function(string, Object): void} onError - Called with the key and error of an invalid entry
+ * @returns {Map<string, Object>} Normalized requirements by normalized key
+ */
+function indexFirmwareRequirements(entries, onError) {
+  const requirements = new Map();
+
+  for (const [key, entry] of Object.entries(entries || {})) {
+    const normalizedKey = normalizeFirmwareKey(key);
+
+    try {
+      if (requirements.has(normalizedKey)) {
+        throw new Error(`duplicate of another key differing only in case`);
+      }
+
+      requirements.set(normalizedKey, normalizeFirmwareRequirement(entry));
+    } catch (error) {
+      onError(key, error);
+    }
+  }
+
+  return requirements;
+}
+
+/**
+ * Find the firmware requirement of a repository: the "owner/repo" entry,
+ * else a legacy entry keyed by the repository name
+ * @param {Map<string, Object>} requirements - Requirements by normalized key
+ * @param {string} repoPath - "owner/repo" (or a bare repository name)
+ * @returns {Object|undefined} Requirement, if any
+ */
+function findFirmwareRequirement(requirements, repoPath) {
+  const key = normalizeFirmwareKey(repoPath);
+  return requirements.get(key) || requirements.get(key.split('/').pop());
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Find firmware compatibility statements in a text
+ * @param {string} text - Release notes or README content
+ * @returns {Array<{version: string, wildcard: boolean, match: string}>} Mentioned firmware versions
+ */
+function findFirmwareMentions(text) {
+  const mentions = [];
+
+  if (!text) {
+    return mentions;
+  }
+
+  for (const pattern of FIRMWARE_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const [raw, major, minor, patch] = match;
+
+      if (Number(major) < 1 || Number(major) > CONFIG.MAX_FIRMWARE_MAJOR) {
+        continue;
+      }
+
+      // "18.x" means any 18 release, normalize the wildcard to its lowest version
+      const wildcard = minor === 'x' || patch === 'x';
+      const version = [major, minor === 'x' ? '0' : minor, !patch || patch === 'x' ? '0' : patch].join('.');
+
+      mentions.push({ version, wildcard, match: raw.trim() });
+    }
+  }
+
+  return mentions;
+}
+
+/**
+ * Get the highest firmware version mentioned in a text
+ * @param {string} text - Text to scan
+ * @returns {{version: string, wildcard: boolean, match: string}|null} Highest mention or null
+ */
+function findHighestFirmwareMention(text) {
+  const mentions = findFirmwareMentions(text);
+
+  if (mentions.length === 0) {
+    return null;
+  }
+
+  return mentions.reduce((highest, mention) =>
+    compareFirmwareVersions(mention.version, highest.version) > 0 ? mention : highest);
+}
+
+/**
+ * Detect the newest firmware a project supports from its release notes,
+ * newest release first, then its README. Statements such as "supports up to
+ * 19.0.1" name the highest supported firmware, so the version found is a
+ * maximum, never a minimum. Confidence is "high" for an explicit version in
+ * the latest release, "medium" for wildcards or older releases and "low" for
+ * the README.
+ * @param {Object} sources - Texts to scan
+ * @param {Array<Object>} sources.releases - Releases (REST shape), newest first
+ * @param {string} [sources.readme] - README content
+ * @returns {{version: string, wildcard: boolean, source: Object, confidence: string, match: string}|null}
+ *   Detected firmware or null
+ */
+function detectFirmware({ releases = [], readme = null }) {
+  const published = releases.filter(release => !release.draft);
+
+  for (let i = 0; i < published.length; i++) {
+    const release = published[i];
+    const mention = findHighestFirmwareMention(release.body);
+
+    if (mention) {
+      return {
+        version: mention.version,
+        wildcard: mention.wildcard,
+        source: { type: 'release', tag: release.tag_name, url: release.html_url },
+        confidence: i === 0 && !mention.wildcard ? 'high' : 'medium',
+        match: mention.match
+      };
+    }
+  }
+
+  const mention = findHighestFirmwareMention(readme);
+
+  if (mention) {
+    return {
+      version: mention.version,
+      wildcard: mention.wildcard,
+      source: { type: 'readme' },
+      confidence: 'low',
+      match: mention.match
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build the requirement of a detected firmware: supported up to the detected
+ * version, or up to the last release of its major for wildcards ("18.x")
+ * @param {{version: string, wildcard: boolean}} detected - Result of detectFirmware()
+ * @returns {{min: null, max: string|null, range: string|null, broken: Array<string>}} Normalized requirement
+ */
+function getDetectedRequirement(detected) {
+  if (detected.wildcard) {
+    const [major] = parseFirmwareVersion(detected.version);
+    return normalizeFirmwareRequirement({ range: `<${major + 1}.0.0` });
+  }
+
+  return normalizeFirmwareRequirement({ max: detected.version });
+}
+
+module.exports = {
+  parseFirmwareVersion,
+  compareFirmwareVersions,
+  parseFirmwareRange,
+  satisfiesFirmwareRange,
+  normalizeFirmwareRequirement,
+  checkFirmwareRequirement,
+  formatFirmwareSpan,
+  normalizeFirmwareKey,
+  isLegacyFirmwareKey,
+  indexFirmwareRequirements,
+  findFirmwareRequirement,
+  findFirmwareMentions,
+  detectFirmware,
+  getDetectedRequirement
+};
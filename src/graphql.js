@@ -0,0 +1,206 @@
+/**
+ * GitHub GraphQL Backend
+ *
+ * Fetches repository metadata and recent releases for many repositories in a
+ * single GraphQL query. Results are converted to the same shapes returned by
+ * the REST endpoints (`/repos/{owner}/{repo}`, `/releases/latest` and
+ * `/releases`) so the rest of the tracker does not care which backend was
+ * used.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { postJson } = require('./http-client');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  GRAPHQL_URL: 'https://api.github.com/graphql',
+  MAX_RELEASE_ASSETS: 100 // largest page GraphQL allows, releases with more go through REST
+};
+
+const REPOSITORY_FIELDS = `
+  name
+  nameWithOwner
+  url
+  description
+  homepageUrl
+  stargazerCount
+  forkCount
+  updatedAt
+  createdAt
+  pushedAt
+  issues(states: OPEN) { totalCount }
+  pullRequests(states: OPEN) { totalCount }
+  isArchived
+  isDisabled
+  primaryLanguage { name }
+  owner { login avatarUrl url }
+  latestRelease {
+    tagName
+    url
+    publishedAt
+    releaseAssets(first: ${CONFIG.MAX_RELEASE_ASSETS}) {
+      nodes { name size contentType downloadCount downloadUrl }
+      pageInfo { hasNextPage }
+    }
+  }
+`;
+
+const RELEASE_LIST_FIELDS = `
+  nodes { tagName name url publishedAt isPrerelease isDraft description }
+`;
+
+// ============================================================================
+// QUERY BUILDING
+// ============================================================================
+
+/**
+ * Build a batched repository query using one alias per repository
+ * @param {Array<{owner: string, repo: string}>} repos - Repositories to query
+ * @param {number} releaseCount - Number of recent releases to include per repository
+ * @returns {{query: string, variables: Object}} GraphQL request body
+ */
+function buildBatchQuery(repos, releaseCount) {
+  const releases = `releases(first: ${releaseCount}, orderBy: { field: CREATED_AT, direction: DESC }) { ${RELEASE_LIST_FIELDS} }`;
+
+  const declarations = [];
+  const selections = [];
+  const variables = {};
+
+  repos.forEach(({ owner, repo }, index) => {
+    declarations.push(`$owner${index}: String!`, `$name${index}: String!`);
+    selections.push(`r${index}: repository(owner: $owner${index}, name: $name${index}) { ${REPOSITORY_FIELDS} ${releases} }`);
+    variables[`owner${index}`] = owner;
+    variables[`name${index}`] = repo;
+  });
+
+  return {
+    query: `query (${declarations.join(', ')}) {\n${selections.join('\n')}\n}`,
+    variables
+  };
+}
+
+// ============================================================================
+// RESPONSE CONVERSION
+// ============================================================================
+
+/**
+ * Convert a GraphQL repository node to the REST repository shape
+ * @param {Object} node - GraphQL repository node
+ * @returns {Object} Repository information as returned by the REST API
+ */
+function toRestRepository(node) {
+  return {
+    name: node.name,
+    full_name: node.nameWithOwner,
+    owner: {
+      login: node.owner.login,
+      avatar_url: node.owner.avatarUrl,
+      html_url: node.owner.url
+    },
+    html_url: node.url,
+    description: node.description,
+    homepage: node.homepageUrl,
+    language: node.primaryLanguage ? node.primaryLanguage.name : null,
+    stargazers_count: node.stargazerCount,
+    forks_count: node.forkCount,
+    updated_at: node.updatedAt,
+    created_at: node.createdAt,
+    pushed_at: node.pushedAt,
+    // Like the REST count, open issues include open pull requests
+    open_issues_count: node.issues.totalCount + node.pullRequests.totalCount,
+    archived: Boolean(node.isArchived),
+    disabled: Boolean(node.isDisabled)
+  };
+}
+
+/**
+ * Convert a GraphQL release node to the REST release shape
+ * @param {Object|null} node - GraphQL release node
+ * @returns {Object|null} Release information as returned by the REST API
+ */
+function toRestRelease(node) {
+  if (!node) {
+    return null;
+  }
+
+  return {
+    tag_name: node.tagName,
+    name: node.name,
+    body: node.description,
+    html_url: node.url,
+    published_at: node.publishedAt,
+    prerelease: Boolean(node.isPrerelease),
+    draft: Boolean(node.isDraft),
+    assets: (node.releaseAssets ? node.releaseAssets.nodes : []).map(asset => ({
+      name: asset.name,
+      size: asset.size,
+      content_type: asset.contentType,
+      download_count: asset.downloadCount,
+      browser_download_url: asset.downloadUrl
+    }))
+  };
+}
+
+// ============================================================================
+// BATCH FETCHING
+// ============================================================================
+
+/**
+ * Fetch repository information and latest release for a batch of repositories
+ * @param {Array<{owner: string, repo: string}>} repos - Repositories to fetch
+ * @param {Object} headers - GitHub API headers (must include authorization)
+ * @param {number} releaseCount - Number of recent releases to include per repository
+ * @returns {Promise<Array<{repoInfo: Object, latestRelease: Object|null, releases: Array<Object>}|null>>} One entry per repository,
+ *   null when it could not be resolved completely
+ * @throws {Error} If the whole batch failed
+ */
+async function fetchRepositoriesBatch(repos, headers, releaseCount) {
+  const response = await postJson(CONFIG.GRAPHQL_URL, buildBatchQuery(repos, releaseCount), headers);
+
+  if (!response.ok) {
+    throw new Error(`GitHub GraphQL error: ${response.status} ${response.statusText}`);
+  }
+
+  const { data, errors } = response.data;
+
+  if (!data) {
+    const message = errors && errors.length ? errors[0].message : 'empty response';
+    throw new Error(`GitHub GraphQL error: ${message}`);
+  }
+
+  // Per-repository errors (e.g. NOT_FOUND) only null out their own alias. An
+  // error inside a repository (timeout on its releases) nulls that field, which
+  // must not read as "no release": the repository goes through REST instead.
+  const partial = new Set((errors || [])
+    .filter(error => Array.isArray(error.path) && error.path.length > 1)
+    .map(error => error.path[0]));
+
+  return repos.map((_, index) => {
+    const node = data[`r${index}`];
+
+    if (!node || partial.has(`r${index}`)) {
+      return null;
+    }
+
+    // REST lists every asset of a release, GraphQL only the first page
+    if (node.latestRelease && node.latestRelease.releaseAssets.pageInfo.hasNextPage) {
+      return null;
+    }
+
+    return {
+      repoInfo: toRestRepository(node),
+      latestRelease: toRestRelease(node.latestRelease),
+      releases: node.releases.nodes.map(toRestRelease)
+    };
+  });
+}
+
+module.exports = {
+  fetchRepositoriesBatch,
+  buildBatchQuery
+};
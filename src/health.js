@@ -0,0 +1,134 @@
+/**
+ * Project Health
+ *
+ * Scores how alive a project is, from 0 to 100, so users can tell a
+ * maintained tool from an abandoned one. The score adds up weighted signals
+ * (release and push recency, release cadence, open issues, support for the
+ * newest firmware) minus a penalty for archived or disabled repositories.
+ * The breakdown is part of the output so the score can be explained.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { classifyProject } = require('./firmware-watch');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Signals decay linearly from full points at `full` to zero at `zero`
+const CONFIG = {
+  RELEASE_RECENCY: { max: 30, full: 90, zero: 730 }, // days since the latest release
+  PUSH_RECENCY: { max: 25, full: 30, zero: 365 }, // days since the last push
+  RELEASE_CADENCE: { max: 15, full: 60, zero: 365 }, // median days between recent releases
+  OPEN_ISSUES: { max: 10, full: 20, zero: 200 }, // open issues and pull requests
+  FIRMWARE_SUPPORT: { max: 20, declared: 10 }, // released after / declares support for the newest firmware
+  INACTIVE_PENALTY: 40, // archived or disabled repository
+  CADENCE_RELEASES: 10, // releases used for the cadence
+  STATUSES: [[70, 'healthy'], [40, 'slowing'], [0, 'inactive']]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// SIGNALS
+// ============================================================================
+
+/**
+ * Points of a linearly decaying signal
+ * @param {number|null} value - Signal value, null when unknown
+ * @param {{max: number, full: number, zero: number}} scale - Signal scale
+ * @returns {number} Points, rounded to one decimal
+ */
+function decay(value, scale) {
+  if (value === null) {
+    return 0;
+  }
+
+  const ratio = Math.min(Math.max((scale.zero - value) / (scale.zero - scale.full), 0), 1);
+  return Math.round(scale.max * ratio * 10) / 10;
+}
+
+/**
+ * Days elapsed since a date
+ * @param {string|null} date - ISO date
+ * @param {Date} now - Reference date
+ * @returns {number|null} Whole days, or null without date
+ */
+function daysSince(date, now) {
+  return date ? Math.max(Math.floor((now - new Date(date)) / DAY_MS), 0) : null;
+}
+
+/**
+ * Median interval between the most recent releases
+ * @param {Array<Object>} releases - Releases, newest first
+ * @returns {number|null} Median interval in days, or null with fewer than two releases
+ */
+function getReleaseCadence(releases) {
+  const dates = releases
+    .filter(release => release && !release.draft && release.published_at)
+    .slice(0, CONFIG.CADENCE_RELEASES)
+    .map(release => new Date(release.published_at))
+    .sort((a, b) => b - a);
+
+  if (dates.length < 2) {
+    return null;
+  }
+
+  const intervals = dates.slice(1)
+    .map((date, index) => (dates[index] - date) / DAY_MS)
+    .sort((a, b) => a - b);
+  const middle = Math.floor(intervals.length / 2);
+  const median = intervals.length % 2 ? intervals[middle] : (intervals[middle - 1] + intervals[middle]) / 2;
+
+  return Math.round(median);
+}
+
+// ============================================================================
+// SCORE
+// ============================================================================
+
+/**
+ * Compute the health score of a project
+ * @param {Object} project - Processed project data
+ * @param {Array<Object>} releases - Recent releases returned by the API, newest first
+ * @param {{version: string, released: string}|null} latestFirmware - Newest firmware of the catalog
+ * @param {Date} now - Reference date
+ * @returns {{score: number, status: string, breakdown: Object}} Score, status and points per signal
+ */
+function computeHealth(project, releases, latestFirmware, now = new Date()) {
+  // Tag and commit versions carry the date of a commit, not of a release
+  const stableReleaseDate = project.versionSource === 'release' ? project.latestReleaseDate : null;
+  const latestRelease = [stableReleaseDate, project.latestPrereleaseDate]
+    .filter(Boolean)
+    .sort((a, b) => new Date(b) - new Date(a))[0] || null;
+  const releaseDays = daysSince(latestRelease, now);
+  const pushDays = daysSince(project.pushedAt, now);
+  const cadence = getReleaseCadence(releases);
+  const openIssues = typeof project.openIssues === 'number' ? project.openIssues : null;
+  const firmwareStatus = latestFirmware ? classifyProject(project, latestFirmware) : null;
+  const inactive = project.availability === 'archived' || project.availability === 'disabled';
+
+  const firmwarePoints = { 'released-after': CONFIG.FIRMWARE_SUPPORT.max, 'declares-support': CONFIG.FIRMWARE_SUPPORT.declared };
+
+  const breakdown = {
+    releaseRecency: { value: releaseDays, points: decay(releaseDays, CONFIG.RELEASE_RECENCY), max: CONFIG.RELEASE_RECENCY.max },
+    pushRecency: { value: pushDays, points: decay(pushDays, CONFIG.PUSH_RECENCY), max: CONFIG.PUSH_RECENCY.max },
+    releaseCadence: { value: cadence, points: decay(cadence, CONFIG.RELEASE_CADENCE), max: CONFIG.RELEASE_CADENCE.max },
+    openIssues: { value: openIssues, points: decay(openIssues, CONFIG.OPEN_ISSUES), max: CONFIG.OPEN_ISSUES.max },
+    firmwareSupport: { value: firmwareStatus, points: firmwarePoints[firmwareStatus] || 0, max: CONFIG.FIRMWARE_SUPPORT.max },
+    inactive: { value: inactive, points: inactive ? -CONFIG.INACTIVE_PENALTY : 0, max: 0 }
+  };
+
+  const total = Object.values(breakdown).reduce((sum, signal) => sum + signal.points, 0);
+  const score = Math.min(Math.max(Math.round(total), 0), 100);
+  const status = CONFIG.STATUSES.find(([threshold]) => score >= threshold)[1];
+
+  return { score, status, breakdown };
+}
+
+module.exports = {
+  computeHealth,
+  getReleaseCadence
+};
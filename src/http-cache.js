@@ -0,0 +1,176 @@
+/**
+ * HTTP Cache
+ *
+ * Persistent on-disk cache of API responses keyed by URL. Each entry keeps
+ * the ETag / Last-Modified validators and the last response body so the
+ * tracker can send conditional requests and reuse the cached body when the
+ * server answers 304 Not Modified (which GitHub does not count against the
+ * rate limit).
+ *
+ * The cache file is disposable: deleting it only costs one full refresh.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  CACHE_FILE: process.env.NX_HTTP_CACHE_FILE || path.join(__dirname, '..', '.cache', 'http-cache.json'),
+  CACHE_VERSION: 1,
+  // Entries not used for this long are dropped when the cache is saved
+  MAX_ENTRY_AGE_DAYS: 14
+};
+
+// ============================================================================
+// CACHE STATE
+// ============================================================================
+
+let entries = {};
+let stats = { hits: 0, misses: 0, stored: 0 };
+
+/**
+ * Load the HTTP cache from disk. A missing or unreadable cache file is not
+ * an error: the tracker simply starts with an empty cache.
+ * @returns {Promise<void>}
+ */
+async function loadHttpCache() {
+  entries = {};
+  stats = { hits: 0, misses: 0, stored: 0 };
+
+  try {
+    if (!(await fs.pathExists(CONFIG.CACHE_FILE))) {
+      return;
+    }
+
+    const cache = await fs.readJson(CONFIG.CACHE_FILE);
+
+    if (cache.version !== CONFIG.CACHE_VERSION || typeof cache.entries !== 'object') {
+      console.warn('HTTP cache format changed, starting with an empty cache');
+      return;
+    }
+
+    entries = cache.entries;
+    console.log(`Loaded ${Object.keys(entries).length} cached HTTP responses`);
+  } catch (error) {
+    console.warn('Ignoring unreadable HTTP cache:', error.message);
+    entries = {};
+  }
+}
+
+/**
+ * Write the HTTP cache to disk, dropping entries that have not been used recently
+ * @returns {Promise<void>}
+ */
+async function saveHttpCache() {
+  const cutoff = Date.now() - CONFIG.MAX_ENTRY_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+  for (const [url, entry] of Object.entries(entries)) {
+    if (new Date(entry.lastUsed).getTime() < cutoff) {
+      delete entries[url];
+    }
+  }
+
+  try {
+    await fs.ensureDir(path.dirname(CONFIG.CACHE_FILE));
+    await fs.writeJson(CONFIG.CACHE_FILE, { version: CONFIG.CACHE_VERSION, entries });
+  } catch (error) {
+    // A failed cache write must never fail the run
+    console.warn('Could not write HTTP cache:', error.message);
+  }
+}
+
+// ============================================================================
+// CACHE ACCESS
+// ============================================================================
+
+/**
+ * Build conditional request headers for a cached URL
+ * @param {string} url - Request URL
+ * @returns {Object} Headers to merge into the request (empty if not cached)
+ */
+function getConditionalHeaders(url) {
+  const entry = entries[url];
+  const headers = {};
+
+  if (!entry) {
+    return headers;
+  }
+
+  if (entry.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+
+  if (entry.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified;
+  }
+
+  return headers;
+}
+
+/**
+ * Get the cached body for a URL after a 304 response
+ * @param {string} url - Request URL
+ * @returns {*} Cached response body or undefined if not cached
+ */
+function getCachedBody(url) {
+  const entry = entries[url];
+
+  if (!entry) {
+    stats.misses++;
+    return undefined;
+  }
+
+  entry.lastUsed = new Date().toISOString();
+  stats.hits++;
+  return entry.body;
+}
+
+/**
+ * Store a successful response in the cache. Responses without validators
+ * cannot be revalidated and are not stored.
+ * @param {string} url - Request URL
+ * @param {Object} headers - node-fetch Headers of the response
+ * @param {*} body - Parsed response body
+ */
+function storeResponse(url, headers, body) {
+  const etag = headers.get('etag');
+  const lastModified = headers.get('last-modified');
+
+  stats.misses++;
+
+  if (!etag && !lastModified) {
+    delete entries[url];
+    return;
+  }
+
+  entries[url] = {
+    etag,
+    lastModified,
+    body,
+    lastUsed: new Date().toISOString()
+  };
+  stats.stored++;
+}
+
+/**
+ * Get cache statistics for the current run
+ * @returns {{hits: number, misses: number, stored: number}} Cache statistics
+ */
+function getHttpCacheStats() {
+  return { ...stats };
+}
+
+module.exports = {
+  loadHttpCache,
+  saveHttpCache,
+  getConditionalHeaders,
+  getCachedBody,
+  storeResponse,
+  getHttpCacheStats
+};
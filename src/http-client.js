@@ -0,0 +1,361 @@
+/**
+ * HTTP Client
+ *
+ * Thin wrapper around node-fetch used for every API request made by the
+ * tracker. Requests are sent as conditional requests when a cached copy
+ * exists, and 304 responses are answered from the HTTP cache.
+ *
+ * The client also honours GitHub's rate limit headers: when the budget is
+ * exhausted every request waits until `X-RateLimit-Reset`, secondary rate
+ * limits (403/429) are retried after `Retry-After`, and transient 5xx and
+ * network errors are retried with exponential backoff.
+ *
+ * In record and replay mode (see http-fixtures.js) the HTTP cache is
+ * bypassed so fixtures hold full responses, and replayed requests skip rate
+ * limiting and retries altogether.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const fetch = require('node-fetch');
+const httpCache = require('./http-cache');
+const { getFixtureMode, recordResponse, replayResponse } = require('./http-fixtures');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  MAX_RETRIES: 4,
+  RETRY_BASE_DELAY: 1000, // ms, doubled on every retry
+  SECONDARY_RATE_LIMIT_DELAY: 60 * 1000, // ms, used when no valid Retry-After is sent
+  RESET_MARGIN: 1000, // ms, waited past x-ratelimit-reset for clock skew
+  MAX_RATE_LIMIT_WAIT: 60 * 60 * 1000 // ms, give up instead of waiting longer
+};
+
+// ============================================================================
+// RATE LIMIT STATE
+// ============================================================================
+
+// Shared by all concurrent requests so one exhausted response pauses everyone
+const rateLimit = {
+  limit: null,
+  remaining: null,
+  reset: null, // epoch ms
+  pausedUntil: 0,
+  requests: 0
+};
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Record rate limit headers from a response
+ * @param {Object} headers - node-fetch Headers of the response
+ */
+function updateRateLimit(headers) {
+  const limit = headers.get('x-ratelimit-limit');
+  const remaining = headers.get('x-ratelimit-remaining');
+  const reset = headers.get('x-ratelimit-reset');
+
+  if (limit !== null) {
+    rateLimit.limit = parseInt(limit, 10);
+  }
+
+  if (remaining !== null) {
+    rateLimit.remaining = parseInt(remaining, 10);
+  }
+
+  if (reset !== null) {
+    rateLimit.reset = parseInt(reset, 10) * 1000 || null;
+  }
+
+  if (rateLimit.remaining === 0 && rateLimit.reset) {
+    pauseUntil(Date.now() + getResetDelay(rateLimit.reset));
+  }
+}
+
+/**
+ * Get the delay until a rate limit reset. The safety margin never pushes a
+ * wait within the configured maximum beyond it.
+ * @param {number} reset - Reset time in epoch ms
+ * @returns {number} Delay in milliseconds
+ */
+function getResetDelay(reset) {
+  const delay = Math.max(reset - Date.now(), 0);
+
+  if (delay > CONFIG.MAX_RATE_LIMIT_WAIT) {
+    return delay;
+  }
+
+  return Math.min(delay + CONFIG.RESET_MARGIN, CONFIG.MAX_RATE_LIMIT_WAIT);
+}
+
+/**
+ * Pause all requests until the given time
+ * @param {number} time - Epoch ms
+ */
+function pauseUntil(time) {
+  if (time > rateLimit.pausedUntil) {
+    rateLimit.pausedUntil = time;
+  }
+}
+
+/**
+ * Wait until requests are allowed again
+ * @returns {Promise<void>}
+ * @throws {Error} If the pause is longer than the configured maximum
+ */
+async function waitForRateLimit() {
+  const delay = rateLimit.pausedUntil - Date.now();
+
+  if (delay <= 0) {
+    return;
+  }
+
+  if (delay > CONFIG.MAX_RATE_LIMIT_WAIT) {
+    throw new Error(`Rate limit exhausted until ${new Date(rateLimit.pausedUntil).toISOString()}`);
+  }
+
+  console.warn(`Rate limit reached, waiting ${Math.ceil(delay / 1000)}s`);
+  await sleep(delay);
+}
+
+/**
+ * Parse a Retry-After header: delay in seconds or HTTP date
+ * @param {string} value - Header value
+ * @returns {number} Delay in milliseconds, the default backoff if the value cannot be parsed
+ */
+function parseRetryAfter(value) {
+  if (/^\s*\d+\s*$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? CONFIG.SECONDARY_RATE_LIMIT_DELAY : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Get the delay requested by a rate-limited response, or null if it is not rate limited
+ * @param {Object} response - node-fetch Response
+ * @returns {Promise<number|null>} Delay in milliseconds
+ */
+async function getRateLimitDelay(response) {
+  if (response.status !== 403 && response.status !== 429) {
+    return null;
+  }
+
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter !== null) {
+    return parseRetryAfter(retryAfter);
+  }
+
+  if (response.headers.get('x-ratelimit-remaining') === '0') {
+    const reset = parseInt(response.headers.get('x-ratelimit-reset'), 10) * 1000;
+    return Number.isNaN(reset) ? CONFIG.SECONDARY_RATE_LIMIT_DELAY : getResetDelay(reset);
+  }
+
+  if (response.status === 429) {
+    return CONFIG.SECONDARY_RATE_LIMIT_DELAY;
+  }
+
+  // A plain 403 is only a secondary rate limit if GitHub says so
+  const body = await response.clone().text();
+  return /secondary rate limit|abuse/i.test(body) ? CONFIG.SECONDARY_RATE_LIMIT_DELAY : null;
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Object} response - node-fetch Response
+ * @returns {boolean} True for transient server errors
+ */
+function isTransientError(response) {
+  return response.status >= 500 && response.status <= 599;
+}
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+/**
+ * Send a request, waiting on rate limits and retrying transient failures.
+ * In replay mode the request is answered from its fixture instead.
+ * @param {string} url - Request URL
+ * @param {Object} options - node-fetch request options
+ * @returns {Promise<Object>} node-fetch Response
+ */
+async function fetchWithRetry(url, options) {
+  if (getFixtureMode() === 'replay') {
+    rateLimit.requests++;
+    return replayResponse(url, options);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForRateLimit();
+
+    let response;
+    try {
+      rateLimit.requests++;
+      response = await fetch(url, options);
+    } catch (error) {
+      if (attempt >= CONFIG.MAX_RETRIES) {
+        throw error;
+      }
+
+      const delay = CONFIG.RETRY_BASE_DELAY * 2 ** attempt;
+      console.warn(`Network error for ${url} (${error.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    // Every attempt is recorded, the fixture keeps the last one
+    if (getFixtureMode() === 'record') {
+      response = await recordResponse(url, options, response);
+    }
+
+    updateRateLimit(response.headers);
+
+    if (attempt >= CONFIG.MAX_RETRIES) {
+      return response;
+    }
+
+    const rateLimitDelay = await getRateLimitDelay(response);
+    if (rateLimitDelay !== null) {
+      console.warn(`Rate limited on ${url}, retrying in ${Math.ceil(rateLimitDelay / 1000)}s`);
+      pauseUntil(Date.now() + rateLimitDelay);
+      continue;
+    }
+
+    if (isTransientError(response)) {
+      const delay = CONFIG.RETRY_BASE_DELAY * 2 ** attempt;
+      console.warn(`Server error ${response.status} for ${url}, retrying in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    return response;
+  }
+}
+
+/**
+ * Read the JSON error document of a failed response (GitHub explains blocked
+ * repositories there)
+ * @param {Object} response - node-fetch Response
+ * @returns {Promise<Object|null>} Parsed body or null if it is not JSON
+ */
+async function readErrorBody(response) {
+  try {
+    return JSON.parse(await response.text());
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetch a JSON resource, revalidating against the HTTP cache. For failed
+ * requests `data` is the JSON error document, if any.
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers
+ * @returns {Promise<{ok: boolean, status: number, statusText: string, headers: Object, data: *, fromCache: boolean}>} Normalized response
+ */
+async function fetchJson(url, headers = {}) {
+  const useCache = getFixtureMode() === 'off';
+  const response = await fetchWithRetry(url, {
+    headers: { ...headers, ...(useCache ? httpCache.getConditionalHeaders(url) : {}) }
+  });
+
+  if (response.status === 304) {
+    const data = httpCache.getCachedBody(url);
+
+    if (data !== undefined) {
+      return {
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        headers: response.headers,
+        data,
+        fromCache: true
+      };
+    }
+
+    // Cache entry vanished between request and response, refetch unconditionally
+    return fetchJson(url, headers);
+  }
+
+  if (!response.ok) {
+    return {
+      ok: false,
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      data: await readErrorBody(response),
+      fromCache: false
+    };
+  }
+
+  const data = await response.json();
+
+  if (useCache) {
+    httpCache.storeResponse(url, response.headers, data);
+  }
+
+  return {
+    ok: true,
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    data,
+    fromCache: false
+  };
+}
+
+/**
+ * POST a JSON body and parse the JSON response. POST responses are never cached.
+ * @param {string} url - Request URL
+ * @param {Object} body - Request body, serialized as JSON
+ * @param {Object} headers - Request headers
+ * @returns {Promise<{ok: boolean, status: number, statusText: string, headers: Object, data: *}>} Normalized response
+ */
+async function postJson(url, body, headers = {}) {
+  const response = await fetchWithRetry(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    data: response.ok ? await response.json() : null
+  };
+}
+
+/**
+ * Get the last known rate limit status
+ * @returns {{limit: number|null, remaining: number|null, reset: string|null, requests: number}} Rate limit status
+ */
+function getRateLimitStatus() {
+  return {
+    limit: rateLimit.limit,
+    remaining: rateLimit.remaining,
+    reset: rateLimit.reset ? new Date(rateLimit.reset).toISOString() : null,
+    requests: rateLimit.requests
+  };
+}
+
+module.exports = {
+  fetchJson,
+  postJson,
+  getRateLimitStatus,
+  parseRetryAfter,
+  getRateLimitDelay
+};
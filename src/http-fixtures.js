@@ -0,0 +1,183 @@
+/**
+ * HTTP Fixtures
+ *
+ * Record/replay of the tracker's API traffic. In record mode every response
+ * received by the HTTP client is also written to a fixture file; in replay
+ * mode requests never reach the network and are answered from those files,
+ * so a recorded run can be replayed offline, as often as needed, without
+ * spending rate limit. A request that was not recorded fails with the path
+ * of the fixture it expected.
+ *
+ * Fixtures are keyed by method, URL and request body. Request headers, and
+ * the tokens they carry, are never written.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { Response } = require('node-fetch');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  MODES: ['off', 'record', 'replay'],
+  FIXTURES_DIR: process.env.NX_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'http'),
+  FIXTURE_VERSION: 1,
+  MAX_SLUG_LENGTH: 80,
+  // Response headers read by the tracker, the others are not recorded
+  RECORDED_HEADERS: [
+    'content-type',
+    'etag',
+    'last-modified',
+    'retry-after',
+    'x-ratelimit-limit',
+    'x-ratelimit-remaining',
+    'x-ratelimit-reset'
+  ]
+};
+
+// ============================================================================
+// FIXTURE STATE
+// ============================================================================
+
+let mode = 'off';
+let stats = { recorded: 0, replayed: 0, missing: [] };
+
+/**
+ * Select the fixture mode for the following requests
+ * @param {string} newMode - "off", "record" or "replay"
+ * @throws {Error} If the mode is unknown
+ */
+function setFixtureMode(newMode) {
+  if (!CONFIG.MODES.includes(newMode)) {
+    throw new Error(`Unknown HTTP fixture mode: "${newMode}". Expected one of: ${CONFIG.MODES.join(', ')}`);
+  }
+
+  mode = newMode;
+  stats = { recorded: 0, replayed: 0, missing: [] };
+}
+
+/**
+ * Get the current fixture mode
+ * @returns {string} "off", "record" or "replay"
+ */
+function getFixtureMode() {
+  return mode;
+}
+
+/**
+ * Get the directory fixtures are read from and written to
+ * @returns {string} Fixtures directory
+ */
+function getFixturesDir() {
+  return CONFIG.FIXTURES_DIR;
+}
+
+/**
+ * Get fixture statistics for the current run
+ * @returns {{recorded: number, replayed: number, missing: Array<string>}} Fixture statistics,
+ *   `missing` listing the requests replay could not answer
+ */
+function getFixtureStats() {
+  return { ...stats, missing: [...stats.missing] };
+}
+
+// ============================================================================
+// FIXTURE FILES
+// ============================================================================
+
+/**
+ * Get the fixture file of a request: one directory per host, a readable
+ * slug of the path and a hash telling apart URLs with the same slug and
+ * POST requests with different bodies
+ * @param {string} url - Request URL
+ * @param {Object} options - node-fetch request options
+ * @returns {string} Fixture file path
+ */
+function getFixturePath(url, options = {}) {
+  const method = options.method || 'GET';
+  const { host, pathname, search } = new URL(url);
+  const hash = crypto.createHash('sha1')
+    .update(`${method} ${url}\n${options.body || ''}`)
+    .digest('hex')
+    .slice(0, 10);
+  const slug = `${method}${pathname}${search}`
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .slice(0, CONFIG.MAX_SLUG_LENGTH);
+
+  return path.join(CONFIG.FIXTURES_DIR, host, `${slug}-${hash}.json`);
+}
+
+/**
+ * Write a response to its fixture file. The body is consumed, so an
+ * equivalent response is returned to the caller.
+ * @param {string} url - Request URL
+ * @param {Object} options - node-fetch request options
+ * @param {Object} response - node-fetch Response
+ * @returns {Promise<Object>} node-fetch Response with the same status, headers and body
+ */
+async function recordResponse(url, options, response) {
+  const text = await response.text();
+  const headers = {};
+
+  for (const name of CONFIG.RECORDED_HEADERS) {
+    if (response.headers.get(name) !== null) {
+      headers[name] = response.headers.get(name);
+    }
+  }
+
+  let body;
+  try {
+    body = { json: JSON.parse(text) };
+  } catch (error) {
+    body = { text };
+  }
+
+  await fs.outputJson(getFixturePath(url, options), {
+    version: CONFIG.FIXTURE_VERSION,
+    recordedAt: new Date().toISOString(),
+    request: { method: options.method || 'GET', url, body: options.body || null },
+    response: { status: response.status, statusText: response.statusText, headers, ...body }
+  }, { spaces: 2 });
+  stats.recorded++;
+
+  return new Response(text, { status: response.status, statusText: response.statusText, headers, url });
+}
+
+/**
+ * Answer a request from its fixture file
+ * @param {string} url - Request URL
+ * @param {Object} options - node-fetch request options
+ * @returns {Promise<Object>} node-fetch Response rebuilt from the fixture
+ * @throws {Error} If the request was not recorded
+ */
+async function replayResponse(url, options = {}) {
+  const fixturePath = getFixturePath(url, options);
+  const method = options.method || 'GET';
+
+  if (!(await fs.pathExists(fixturePath))) {
+    stats.missing.push(`${method} ${url}`);
+    throw new Error(`No recorded fixture for ${method} ${url} (expected ${path.relative(process.cwd(), fixturePath)}), record it with --record`);
+  }
+
+  const { response } = await fs.readJson(fixturePath);
+  const text = response.json !== undefined ? JSON.stringify(response.json) : response.text;
+  stats.replayed++;
+
+  return new Response(text, { status: response.status, statusText: response.statusText, headers: response.headers, url });
+}
+
+module.exports = {
+  setFixtureMode,
+  getFixtureMode,
+  getFixturesDir,
+  getFixtureStats,
+  getFixturePath,
+  recordResponse,
+  replayResponse
+};
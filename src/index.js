@@ -8,19 +8,69 @@
  * @version 1.0.0
  */
 
-const yaml = require('js-yaml');
-const fetch = require('node-fetch');
 const fs = require('fs-extra');
 const path = require('path');
+const { getRateLimitStatus } = require('./http-client');
+const { loadHttpCache, saveHttpCache, getHttpCacheStats } = require('./http-cache');
+const { setFixtureMode, getFixturesDir, getFixtureStats } = require('./http-fixtures');
+const { selectOutputDir, getOutputPath } = require('./output-dir');
+const { runPool } = require('./pool');
+const { fetchRepositoriesBatch } = require('./graphql');
+const {
+  parseRepoString,
+  createGitHubHeaders,
+  fetchRepositoryState,
+  fetchLatestRelease,
+  fetchReleases,
+  fetchReadme,
+  isGitHubRepository
+} = require('./providers');
+const { updateReleaseHistory } = require('./release-history');
+const { findVersionFallback } = require('./version-fallback');
+const { recordSnapshot } = require('./snapshots');
+const { buildChangeReport, writeChangeReport } = require('./changes');
+const { writeFeeds } = require('./feeds');
+const {
+  detectFirmware,
+  getDetectedRequirement,
+  normalizeFirmwareRequirement,
+  formatFirmwareSpan,
+  isLegacyFirmwareKey,
+  indexFirmwareRequirements,
+  findFirmwareRequirement
+} = require('./firmware');
+const { loadFirmwareCatalog, fetchNewerFirmware, isKnownFirmware, getLatestFirmware, findUnknownFirmware } = require('./firmware-catalog');
+const { buildFirmwareWatch } = require('./firmware-watch');
+const { applyAtmosphereRequirements } = require('./atmosphere');
+const { getProjectMetadata } = require('./project-metadata');
+const { computeHealth } = require('./health');
+const { validateProjectsConfig, validateFirmwareConfig, formatIssue } = require('./config-validation');
+const packageInfo = require('../package.json');
+const {
+  getRepositoryStatus,
+  findMovedRepository,
+  restoreUnavailableProjects,
+  restoreFailedProjects,
+  isUnavailableStatus,
+  applyRepositoryMoves
+} = require('./repository-status');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 const CONFIG = {
-  GITHUB_API_BASE: 'https://api.github.com',
+  OUTPUT_SCHEMA_VERSION: 2, // bump on breaking changes to projects.json, see schemas/projects-output.schema.json
   GITHUB_TOKEN: process.env.GITHUB_TOKEN,
-  RATE_LIMIT_DELAY: 100, // ms between API requests
+  CONCURRENCY: parseInt(process.env.NX_CONCURRENCY, 10) || 4, // projects processed in parallel
+  FETCH_MODES: ['rest', 'graphql'],
+  GRAPHQL_BATCH_SIZE: 50, // repositories per GraphQL query
+  RELEASE_CHANNELS: ['stable', 'prerelease', 'both'],
+  VERSION_SOURCES: ['auto', 'release', 'tag', 'commit'], // see version-fallback.js
+  RELEASES_PER_PAGE: 10, // recent releases scanned for pre-releases
+  RELEASE_HISTORY_LIMIT: 20, // releases fetched per project for the history files
+  MAX_RELEASES_PER_PAGE: 100, // GitHub API page size limit
+  MAX_FAILURE_RATIO: 0.25, // share of failed fetches above which the run fails
   DEFAULT_FIRMWARE: '20.2.0',
   // Rate limits: 1000/hour for GITHUB_TOKEN, 5000/hour for personal tokens
   API_RATE_LIMIT: process.env.GITHUB_TOKEN ? 5000 : 1000
@@ -30,29 +80,124 @@ const CONFIG = {
 // FIRMWARE CONFIGURATION MANAGEMENT
 // ============================================================================
 
-let firmwareMapping = {};
+let firmwareMapping = new Map();
 let defaultFirmware = CONFIG.DEFAULT_FIRMWARE;
+let releaseHistoryLimit = CONFIG.RELEASE_HISTORY_LIMIT;
+let firmwareDetection = { enabled: true, readme: false };
+let defaultVersionSource = 'auto';
+let firmwareCatalog = [];
 
 /**
- * Load firmware requirements from configuration file
+ * Load the firmware catalog and add the newest firmware when the catalog is
+ * behind it. Without a catalog firmware references are only checked for the
+ * "X.Y.Z" format.
  * @returns {Promise<void>}
  */
-async function loadFirmwareConfig() {
+async function loadCatalog() {
   try {
-    const firmwareConfigPath = path.join(__dirname, '..', 'config', 'firmware.yml');
-    const firmwareConfigContent = await fs.readFile(firmwareConfigPath, 'utf8');
-    const firmwareConfig = yaml.load(firmwareConfigContent);
-    
-    firmwareMapping = firmwareConfig.firmware_requirements || {};
-    defaultFirmware = firmwareConfig.default_firmware || CONFIG.DEFAULT_FIRMWARE;
+    firmwareCatalog = await loadFirmwareCatalog();
+    console.log(`Loaded ${firmwareCatalog.length} known firmware versions (newest: ${getLatestFirmware(firmwareCatalog).version})`);
+  } catch (error) {
+    console.error('Error loading firmware catalog:', error.message);
+    console.log('Firmware versions will not be checked against the catalog');
+    firmwareCatalog = [];
+    return;
+  }
+  
+  try {
+    const newer = await fetchNewerFirmware(firmwareCatalog);
     
-    console.log(`Loaded ${Object.keys(firmwareMapping).length} firmware requirements`);
+    if (newer) {
+      console.warn(`Firmware ${newer.version} (released ${newer.released}) is missing from config/firmware-catalog.yml, using it as the newest firmware`);
+      firmwareCatalog = [newer, ...firmwareCatalog];
+    }
   } catch (error) {
-    console.error('Error loading firmware config:', error.message);
-    console.log('Using default firmware configuration');
-    firmwareMapping = {};
+    console.warn('Could not check for a firmware newer than the catalog:', error.message);
+  }
+}
+
+/**
+ * Throw if a configuration file has validation errors, print its warnings
+ * @param {string} file - Configuration file name
+ * @param {Array<Object>} issues - Validation issues
+ * @returns {void}
+ * @throws {Error} Listing every error with its line and column
+ */
+function assertValidConfig(file, issues) {
+  const errors = issues.filter(issue => issue.severity === 'error');
+  
+  issues.filter(issue => issue.severity !== 'error').forEach(issue => console.warn(formatIssue(issue)));
+  
+  if (errors.length) {
+    throw new Error(`Invalid ${file} (run "npm run validate"):\n${errors.map(formatIssue).join('\n')}`);
+  }
+}
+
+/**
+ * Load firmware requirements from configuration file. Entries referencing
+ * firmware versions missing from the catalog are rejected.
+ * @returns {Promise<void>}
+ * @throws {Error} If firmware.yml cannot be read or is invalid
+ */
+async function loadFirmwareConfig() {
+  await loadCatalog();
+  
+  const firmwareConfigPath = path.join(__dirname, '..', 'config', 'firmware.yml');
+  const firmwareConfigContent = await fs.readFile(firmwareConfigPath, 'utf8');
+  const { data: firmwareConfig, issues } = validateFirmwareConfig(firmwareConfigContent, 'config/firmware.yml');
+  
+  assertValidConfig('config/firmware.yml', issues);
+  
+  defaultFirmware = firmwareConfig.default_firmware || CONFIG.DEFAULT_FIRMWARE;
+  
+  if (firmwareCatalog.length && !isKnownFirmware(firmwareCatalog, defaultFirmware)) {
+    console.error(`Unknown default_firmware ${defaultFirmware}, using ${CONFIG.DEFAULT_FIRMWARE}`);
     defaultFirmware = CONFIG.DEFAULT_FIRMWARE;
   }
+  
+  const latestFirmware = getLatestFirmware(firmwareCatalog);
+  if (latestFirmware && latestFirmware.version !== defaultFirmware) {
+    console.warn(`default_firmware ${defaultFirmware} lags behind the newest known firmware ${latestFirmware.version} (released ${latestFirmware.released})`);
+  }
+  
+  firmwareMapping = indexFirmwareRequirements(firmwareConfig.firmware_requirements, (key, error) => {
+    console.error(`Ignoring firmware requirement for ${key}: ${error.message}`);
+  });
+  
+  for (const [key, requirement] of firmwareMapping) {
+    const unknown = findUnknownFirmware(firmwareCatalog, requirement);
+    
+    if (firmwareCatalog.length && unknown.length) {
+      console.error(`Ignoring firmware requirement for ${key}: unknown firmware version(s) ${unknown.join(', ')}`);
+      firmwareMapping.delete(key);
+    }
+  }
+  
+  console.log(`Loaded ${firmwareMapping.size} firmware requirements`);
+}
+
+/**
+ * Warn about legacy name-only firmware.yml keys: they match every tracked
+ * repository with that name, whatever its owner
+ * @param {Array<Object>} projects - Project entries from projects.yml
+ * @returns {void}
+ */
+function checkLegacyFirmwareKeys(projects) {
+  const legacyKeys = [...firmwareMapping.keys()].filter(isLegacyFirmwareKey);
+  
+  for (const key of legacyKeys) {
+    const matches = projects
+      .map(project => project.repo)
+      .filter(repo => repo.split('/').pop().toLowerCase() === key);
+    
+    if (matches.length > 1) {
+      console.warn(`Legacy firmware key "${key}" matches ${matches.length} projects (${matches.join(', ')}), key it by owner/repo`);
+    }
+  }
+  
+  if (legacyKeys.length) {
+    console.log(`${legacyKeys.length} firmware requirements use legacy name-only keys, run "npm run migrate-firmware" to key them by owner/repo`);
+  }
 }
 
 // ============================================================================
@@ -60,184 +205,420 @@ async function loadFirmwareConfig() {
 // ============================================================================
 
 /**
- * Extract owner and repository name from repo string
- * @param {string} repoString - Repository string in format "owner/repo"
- * @returns {{owner: string, repo: string}} Object with owner and repo
- * @throws {Error} If repo format is invalid
+ * Get firmware requirement for a project. An explicit entry in firmware.yml
+ * always wins over a detected value; low-confidence (README) detections are
+ * only reported, never used.
+ * @param {string} repoPath - Repository in format "owner/repo" (a bare name only matches legacy keys)
+ * @param {Object|null} detectedFirmware - Firmware detected from release notes
+ * @returns {string|null} Minimum required firmware version, null when only an upper bound is known
+ */
+function getFirmwareRequirement(repoPath, detectedFirmware = null) {
+  return resolveFirmwareRequirement(repoPath, detectedFirmware).version;
+}
+
+/**
+ * Resolve the firmware requirement of a project and where it comes from.
+ * `version` is the minimum required firmware (published as requiredFirmware),
+ * `supportedUpTo` the newest supported firmware, each null when unknown;
+ * `requirement` holds the full min/max/range/broken entry. Detected firmware
+ * is the newest supported version and never becomes a minimum, projects
+ * without a requirement get `default_firmware` as minimum.
+ * @param {string} repoPath - Repository in format "owner/repo"
+ * @param {Object|null} detectedFirmware - Firmware detected from release notes
+ * @returns {{version: string|null, supportedUpTo: string|null, source: string, requirement: Object}} Minimum and newest
+ *   supported firmware, source ("config", "detected" or "default") and requirement
  */
-function parseRepoString(repoString) {
-  const parts = repoString.split('/');
+function resolveFirmwareRequirement(repoPath, detectedFirmware) {
+  const configured = findFirmwareRequirement(firmwareMapping, repoPath);
+  let resolved;
   
-  if (parts.length !== 2) {
-    throw new Error(`Invalid repo format: "${repoString}". Expected format: "owner/repo"`);
+  if (configured) {
+    resolved = { source: 'config', requirement: configured };
+  } else if (detectedFirmware && detectedFirmware.confidence !== 'low') {
+    resolved = { source: 'detected', requirement: getDetectedRequirement(detectedFirmware) };
+  } else {
+    resolved = { source: 'default', requirement: normalizeFirmwareRequirement({ min: defaultFirmware }) };
   }
   
-  return {
-    owner: parts[0],
-    repo: parts[1]
-  };
+  return { ...resolved, version: resolved.requirement.min, supportedUpTo: resolved.requirement.max };
 }
 
 /**
- * Get firmware requirement for a project
- * @param {string} projectName - Name of the project
- * @returns {string} Required firmware version
+ * Get the release channel tracked for a project
+ * @param {Object} project - Project configuration object
+ * @returns {string} Release channel: "stable", "prerelease" or "both"
+ * @throws {Error} If the channel is invalid
  */
-function getFirmwareRequirement(projectName) {
-  return firmwareMapping[projectName] || defaultFirmware;
+function getReleaseChannel(project) {
+  const channel = project.channel || 'stable';
+  
+  if (!CONFIG.RELEASE_CHANNELS.includes(channel)) {
+    throw new Error(`Invalid release channel "${channel}" for ${project.repo}. Expected one of: ${CONFIG.RELEASE_CHANNELS.join(', ')}`);
+  }
+  
+  return channel;
 }
 
 /**
- * Create GitHub API headers with optional authentication
- * @returns {Object} Headers object for GitHub API requests
+ * Get where the version of a project comes from
+ * @param {Object} project - Project configuration object
+ * @returns {string} Version source: "auto", "release", "tag" or "commit"
+ * @throws {Error} If the source is invalid
  */
-function createGitHubHeaders() {
-  const headers = {
-    'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'NX-Projects-Tracker/1.0.0'
-  };
-
-  if (CONFIG.GITHUB_TOKEN) {
-    headers['Authorization'] = `token ${CONFIG.GITHUB_TOKEN}`;
+function getVersionSource(project) {
+  const source = project.version_source || defaultVersionSource;
+  
+  if (!CONFIG.VERSION_SOURCES.includes(source)) {
+    throw new Error(`Invalid version source "${source}" for ${project.repo}. Expected one of: ${CONFIG.VERSION_SOURCES.join(', ')}`);
   }
+  
+  return source;
+}
 
-  return headers;
+/**
+ * Find the most recent published pre-release in a release list
+ * @param {Array<Object>} releases - Releases, newest first
+ * @returns {Object|null} Latest pre-release or null if none
+ */
+function findLatestPrerelease(releases) {
+  return releases.find(release => release.prerelease && !release.draft) || null;
 }
 
 // ============================================================================
-// GITHUB API INTEGRATION
+// REPOSITORY API
 // ============================================================================
 
 /**
- * Fetch latest release information from GitHub API
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @returns {Promise<Object|null>} Latest release information or null if not found
+ * Fetch repository information from the project's host
+ * @param {Object} ref - Repository reference from parseRepoString()
+ * @returns {Promise<Object|null>} Repository information or null if not found
  */
-async function fetchLatestRelease(owner, repo) {
-  const headers = createGitHubHeaders();
-  const url = `${CONFIG.GITHUB_API_BASE}/repos/${owner}/${repo}/releases/latest`;
+async function fetchRepositoryInfo(ref) {
+  return (await fetchRepositoryState(ref)).repoInfo;
+}
 
-  try {
-    const response = await fetch(url, { headers });
-    
-    if (!response.ok) {
-      if (response.status === 404) {
-        // No releases found, this is normal for many repositories
-        return null;
-      }
-      
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-    }
+// ============================================================================
+// PROJECT PROCESSING
+// ============================================================================
 
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error(`Error fetching latest release for ${owner}/${repo}:`, error.message);
-    return null;
+/**
+ * Extract the downloadable assets of a release
+ * @param {Object|null} release - Release information
+ * @returns {Array<Object>} Asset inventory
+ */
+function extractReleaseAssets(release) {
+  if (!release || !Array.isArray(release.assets)) {
+    return [];
   }
+
+  return release.assets.map(asset => ({
+    name: asset.name,
+    size: asset.size,
+    contentType: asset.content_type,
+    downloadCount: asset.download_count,
+    downloadUrl: asset.browser_download_url
+  }));
 }
 
 /**
- * Fetch repository information from GitHub API
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @returns {Promise<Object|null>} Repository information or null if not found
+ * Build the output data for a project from REST-shaped API responses
+ * @param {Object} ref - Repository reference from parseRepoString()
+ * @param {Object} details - Fetched project details
+ * @param {string} details.channel - Release channel tracked for the project
+ * @param {Object} details.repoInfo - Repository information
+ * @param {Object|null} details.latestRelease - Latest stable release information
+ * @param {Object|null} details.latestPrerelease - Latest pre-release information
+ * @param {Object|null} details.versionFallback - Version from a tag or commit, replacing latestRelease
+ * @param {Array<Object>} details.releases - Recent releases, newest first
+ * @param {string|null} details.readme - README content, when firmware detection scans it
+ * @param {Object} details.metadata - Project metadata from projects.yml
+ * @returns {Object} Processed project data
  */
-async function fetchRepositoryInfo(owner, repo) {
-  const headers = createGitHubHeaders();
-  const url = `${CONFIG.GITHUB_API_BASE}/repos/${owner}/${repo}`;
+function buildProjectData(ref, details) {
+  const { channel, repoInfo, versionFallback, releases, readme, metadata } = details;
+  let { latestPrerelease } = details;
+  // A tag or commit version stands in for the release, without its assets
+  const latestRelease = versionFallback ? null : details.latestRelease;
+  const version = versionFallback || (latestRelease && {
+    source: 'release',
+    version: latestRelease.tag_name,
+    url: latestRelease.html_url,
+    date: latestRelease.published_at,
+    commit: null
+  });
+  const assets = extractReleaseAssets(latestRelease);
+  
+  // A pre-release older than the stable release has been superseded
+  if (latestPrerelease && latestRelease &&
+      new Date(latestPrerelease.published_at) <= new Date(latestRelease.published_at)) {
+    latestPrerelease = null;
+  }
+  
+  let detectedFirmware = firmwareDetection.enabled
+    ? detectFirmware({ releases: releases.length ? releases : [latestRelease].filter(Boolean), readme })
+    : null;
+  
+  // A version that never existed is a false positive (an app version, a typo)
+  if (detectedFirmware && firmwareCatalog.length && !isKnownFirmware(firmwareCatalog, detectedFirmware.version)) {
+    console.log(`Ignoring unknown firmware ${detectedFirmware.version} detected for ${repoInfo.name}`);
+    detectedFirmware = null;
+  }
+  // Keyed by the configured owner/repo, so a GitHub rename keeps the mapping
+  const firmware = resolveFirmwareRequirement(ref.id, detectedFirmware);
+  const movedTo = findMovedRepository(ref, repoInfo);
+  
+  const projectData = {
+    name: repoInfo.name,
+    displayName: metadata.displayName || repoInfo.name,
+    author: repoInfo.owner.login,
+    authorAvatar: repoInfo.owner.avatar_url,
+    authorUrl: repoInfo.owner.html_url,
+    projectUrl: ref.id,
+    projectFullUrl: repoInfo.html_url,
+    provider: ref.provider,
+    host: ref.host,
+    description: metadata.description || repoInfo.description || '',
+    homepage: metadata.homepage || repoInfo.homepage || null,
+    category: metadata.category,
+    type: metadata.type,
+    tags: metadata.tags,
+    hidden: metadata.hidden,
+    language: repoInfo.language || '',
+    stars: repoInfo.stargazers_count,
+    forks: repoInfo.forks_count,
+    lastUpdated: repoInfo.updated_at,
+    createdAt: repoInfo.created_at,
+    pushedAt: repoInfo.pushed_at || null,
+    openIssues: repoInfo.open_issues_count ?? null,
+    latestVersion: version ? version.version : null,
+    latestReleaseUrl: version ? version.url : null,
+    latestReleaseDate: version ? version.date : null,
+    latestReleaseAssets: assets,
+    // Unknown when any asset has no download count (GitLab release links)
+    totalDownloads: assets.some(asset => asset.downloadCount === null || asset.downloadCount === undefined)
+      ? null
+      : assets.reduce((sum, asset) => sum + asset.downloadCount, 0),
+    versionSource: version ? version.source : (latestPrerelease ? 'release' : null),
+    latestCommit: version ? version.commit : null,
+    releaseChannel: channel,
+    latestPrereleaseVersion: latestPrerelease ? latestPrerelease.tag_name : null,
+    latestPrereleaseUrl: latestPrerelease ? latestPrerelease.html_url : null,
+    latestPrereleaseDate: latestPrerelease ? latestPrerelease.published_at : null,
+    requiredFirmware: firmware.version,
+    supportedUpTo: firmware.supportedUpTo,
+    firmwareSource: firmware.source,
+    firmware: { ...firmware.requirement, source: firmware.source },
+    detectedFirmware,
+    availability: getRepositoryStatus(repoInfo),
+    unavailableSince: null,
+    unavailableReason: null,
+    movedTo,
+    stale: false,
+    lastSuccessfulFetch: new Date().toISOString()
+  };
+  
+  projectData.health = computeHealth(projectData, releases, getLatestFirmware(firmwareCatalog));
 
-  try {
-    const response = await fetch(url, { headers });
-    
-    if (!response.ok) {
-      if (response.status === 404) {
-        console.warn(`Repository not found: ${owner}/${repo}`);
-        return null;
-      }
-      
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-    }
+  if (detectedFirmware && firmware.source === 'config' && detectedFirmware.version !== firmware.supportedUpTo) {
+    console.log(`Firmware for ${projectData.name}: configured up to ${firmware.supportedUpTo || 'unknown'}, detected ${detectedFirmware.version} (${detectedFirmware.confidence})`);
+  }
+  
+  if (movedTo) {
+    console.warn(`${ref.id} has moved to ${movedTo}, update projects.yml or enable rewrite_moved_repos`);
+  }
+  
+  if (projectData.availability !== 'active') {
+    console.warn(`${ref.id} is ${projectData.availability}`);
+  }
+
+  console.log(`Added: ${projectData.name} (${formatFirmwareSpan(projectData)}) - ${projectData.author}`);
+  return projectData;
+}
 
-    const data = await response.json();
-    return data;
+/**
+ * Store the most recent releases in the project's release history file
+ * @param {Object} ref - Repository reference
+ * @param {Array<Object>} releases - Releases returned by the API, newest first
+ * @returns {Promise<void>}
+ */
+async function recordReleaseHistory(ref, releases) {
+  if (releaseHistoryLimit === 0) {
+    return;
+  }
+  
+  try {
+    await updateReleaseHistory(ref.id, releases.slice(0, releaseHistoryLimit));
   } catch (error) {
-    console.error(`Error fetching ${owner}/${repo}:`, error.message);
-    return null;
+    // History is a side output, never fail the project because of it
+    console.error(`Error updating release history for ${ref.id}:`, error.message);
   }
 }
 
-// ============================================================================
-// PROJECT PROCESSING
-// ============================================================================
-
 /**
  * Process a single project and extract relevant information
  * @param {Object} project - Project configuration object
- * @returns {Promise<Object|null>} Processed project data or null if failed
+ * @returns {Promise<Object|null>} Processed project data, `{projectUrl, unavailable}` for
+ *   deleted or taken down repositories, or null if failed
  */
 async function processProject(project) {
   try {
-    const { owner, repo } = parseRepoString(project.repo);
-    console.log(`Processing: ${owner}/${repo}`);
+    const ref = parseRepoString(project.repo);
+    const channel = getReleaseChannel(project);
+    const versionSource = getVersionSource(project);
+    const metadata = getProjectMetadata(project);
+    console.log(`Processing: ${ref.id}`);
     
-    const repoInfo = await fetchRepositoryInfo(owner, repo);
+    const { repoInfo, unavailable } = await fetchRepositoryState(ref);
+    
+    if (unavailable) {
+      return { projectUrl: ref.id, unavailable };
+    }
     
     if (!repoInfo) {
       return null;
     }
 
-    // Fetch latest release information
-    const latestRelease = await fetchLatestRelease(owner, repo);
+    // Fetch latest release information for the tracked channels
+    const latestRelease = channel !== 'prerelease' ? await fetchLatestRelease(ref) : null;
+    
+    // Recent releases feed both the pre-release channel and the release history
+    const needsReleaseList = channel !== 'stable' || releaseHistoryLimit > 0;
+    const releases = needsReleaseList
+      ? await fetchReleases(ref, Math.max(releaseHistoryLimit, CONFIG.RELEASES_PER_PAGE))
+      : [];
+    const latestPrerelease = channel !== 'stable' ? findLatestPrerelease(releases) : null;
+    const versionFallback = await findVersionFallback(ref, versionSource, Boolean(latestRelease || latestPrerelease));
+    const readme = firmwareDetection.enabled && firmwareDetection.readme ? await fetchReadme(ref) : null;
+    
+    await recordReleaseHistory(ref, releases);
     
-    const projectData = {
-      name: repoInfo.name,
-      author: repoInfo.owner.login,
-      authorAvatar: repoInfo.owner.avatar_url,
-      authorUrl: repoInfo.owner.html_url,
-      projectUrl: `${owner}/${repo}`,
-      projectFullUrl: repoInfo.html_url,
-      description: repoInfo.description || '',
-      language: repoInfo.language || '',
-      stars: repoInfo.stargazers_count,
-      forks: repoInfo.forks_count,
-      lastUpdated: repoInfo.updated_at,
-      createdAt: repoInfo.created_at,
-      latestVersion: latestRelease ? latestRelease.tag_name : null,
-      latestReleaseUrl: latestRelease ? latestRelease.html_url : null,
-      latestReleaseDate: latestRelease ? latestRelease.published_at : null,
-      requiredFirmware: getFirmwareRequirement(repoInfo.name)
-    };
-
-    console.log(`Added: ${projectData.name} (${projectData.requiredFirmware}) - ${projectData.author}`);
-    return projectData;
+    return buildProjectData(ref, {
+      channel,
+      repoInfo,
+      latestRelease,
+      latestPrerelease,
+      versionFallback,
+      releases,
+      readme,
+      metadata
+    });
   } catch (error) {
     console.error(`Error processing project ${project.repo}:`, error.message);
     return null;
   }
 }
 
+/**
+ * Process a batch of projects with a single GraphQL query, falling back to
+ * REST for the whole batch if the query fails and for any repository the
+ * query could not resolve
+ * @param {Array} projects - Array of project configurations
+ * @returns {Promise<Array>} Array of processed project data (null entries for failures)
+ */
+async function processProjectBatch(projects) {
+  const batch = [];
+
+  for (const project of projects) {
+    try {
+      const ref = parseRepoString(project.repo);
+      
+      batch.push({
+        project,
+        channel: getReleaseChannel(project),
+        versionSource: getVersionSource(project),
+        metadata: getProjectMetadata(project),
+        ref,
+        owner: ref.owner,
+        repo: ref.repo
+      });
+    } catch (error) {
+      console.error(`Error processing project ${project.repo}:`, error.message);
+    }
+  }
+
+  let results;
+  try {
+    console.log(`Processing batch of ${batch.length} projects via GraphQL`);
+    const releaseCount = Math.max(releaseHistoryLimit, CONFIG.RELEASES_PER_PAGE);
+    results = await fetchRepositoriesBatch(batch, createGitHubHeaders(), releaseCount);
+  } catch (error) {
+    console.error('GraphQL batch failed, falling back to REST:', error.message);
+    return runPool(batch.map(entry => entry.project), processProject, CONFIG.CONCURRENCY);
+  }
+
+  return runPool(batch, async ({ project, channel, versionSource, metadata, ref }, index) => {
+    if (!results[index]) {
+      return processProject(project);
+    }
+
+    try {
+      const { repoInfo, releases } = results[index];
+      const latestRelease = channel !== 'prerelease' ? results[index].latestRelease : null;
+      const latestPrerelease = channel !== 'stable' ? findLatestPrerelease(releases) : null;
+      // Tags and commits are not part of the batch query
+      const versionFallback = await findVersionFallback(ref, versionSource, Boolean(latestRelease || latestPrerelease));
+      const readme = firmwareDetection.enabled && firmwareDetection.readme ? await fetchReadme(ref) : null;
+      
+      await recordReleaseHistory(ref, releases);
+      
+      return buildProjectData(ref, {
+        channel,
+        repoInfo,
+        latestRelease,
+        latestPrerelease,
+        versionFallback,
+        releases,
+        readme,
+        metadata
+      });
+    } catch (error) {
+      console.error(`Error processing project ${project.repo}:`, error.message);
+      return null;
+    }
+  }, CONFIG.CONCURRENCY);
+}
+
+/**
+ * Check whether a project is hosted on GitHub
+ * @param {Object} project - Project configuration object
+ * @returns {boolean} True for GitHub projects, false for other hosts and invalid repo strings
+ */
+function isGitHubProject(project) {
+  try {
+    return isGitHubRepository(parseRepoString(project.repo));
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Process all projects from configuration
  * @param {Array} projects - Array of project configurations
+ * @param {string} fetchMode - Fetch backend, "rest" or "graphql"
  * @returns {Promise<Array>} Array of processed project data
  */
-async function processAllProjects(projects) {
-  const processedProjects = [];
-  
-  for (const project of projects) {
-    const projectData = await processProject(project);
+async function processAllProjects(projects, fetchMode = 'rest') {
+  if (fetchMode === 'graphql') {
+    // GraphQL only reaches GitHub, projects on other hosts use their REST API
+    const githubProjects = projects.filter(isGitHubProject);
+    const otherProjects = projects.filter(project => !isGitHubProject(project));
+    const processedProjects = [];
     
-    if (projectData) {
-      processedProjects.push(projectData);
+    for (let i = 0; i < githubProjects.length; i += CONFIG.GRAPHQL_BATCH_SIZE) {
+      const results = await processProjectBatch(githubProjects.slice(i, i + CONFIG.GRAPHQL_BATCH_SIZE));
+      processedProjects.push(...results.filter(Boolean));
     }
     
-    // Rate limiting to be respectful to GitHub API
-    await new Promise(resolve => setTimeout(resolve, CONFIG.RATE_LIMIT_DELAY));
+    const results = await runPool(otherProjects, processProject, CONFIG.CONCURRENCY);
+    processedProjects.push(...results.filter(Boolean));
+    
+    return processedProjects;
   }
   
-  return processedProjects;
+  // Rate limiting and retries are handled by the HTTP client, shared by all workers
+  const results = await runPool(projects, processProject, CONFIG.CONCURRENCY);
+  
+  return results.filter(Boolean);
 }
 
 // ============================================================================
@@ -245,23 +626,91 @@ async function processAllProjects(projects) {
 // ============================================================================
 
 /**
- * Load projects configuration from YAML file
+ * Load and validate projects configuration from YAML file
  * @returns {Promise<Object>} Configuration object
+ * @throws {Error} If projects.yml cannot be read or is invalid
  */
 async function loadProjectsConfig() {
   const configPath = path.join(__dirname, '..', 'config', 'projects.yml');
   const configContent = await fs.readFile(configPath, 'utf8');
-  return yaml.load(configContent);
+  const { data, issues } = validateProjectsConfig(configContent, 'config/projects.yml');
+  
+  assertValidConfig('config/projects.yml', issues);
+  
+  return data;
 }
 
 /**
- * Write projects data to JSON file
+ * Load the projects written by the previous run
+ * @returns {Promise<Array>} Previous project data (empty on first run)
+ */
+async function loadPreviousProjects() {
+  const outputPath = getOutputPath('projects.json');
+  
+  try {
+    if (!(await fs.pathExists(outputPath))) {
+      return [];
+    }
+    
+    const previousOutput = await fs.readJson(outputPath);
+    return previousOutput.projects || [];
+  } catch (error) {
+    console.warn('Could not read previous output:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Compute the statistics of a run
+ * @param {number} configured - Number of projects in projects.yml
+ * @param {Array<Object>} projects - Project data written by the run
+ * @param {Array<string>} failed - Repositories that failed to fetch
+ * @param {Date} startedAt - Run start date
+ * @returns {Object} Run statistics
+ */
+function buildRunStats(configured, projects, failed, startedAt) {
+  const unavailable = projects.filter(project => isUnavailableStatus(project.availability)).length;
+  const stale = projects.filter(project => project.stale).length;
+  const cacheStats = getHttpCacheStats();
+  
+  return {
+    configured,
+    processed: projects.length - unavailable - stale,
+    failed: failed.length,
+    stale,
+    unavailable,
+    skipped: configured - projects.length,
+    apiRequests: getRateLimitStatus().requests,
+    notModified: cacheStats.hits,
+    durationMs: Date.now() - startedAt.getTime()
+  };
+}
+
+/**
+ * Write the versioned output: run metadata, projects data, the firmware
+ * catalog and the firmware watch report
  * @param {Array} projects - Array of project data
+ * @param {Object|null} firmwareWatch - Firmware watch report
+ * @param {Object} run - Run metadata
+ * @param {Date} run.generatedAt - Run date
+ * @param {Object} run.stats - Run statistics
+ * @param {Array<string>} run.failedRepos - Repositories that failed to fetch
  * @returns {Promise<string>} Path to the written file
  */
-async function writeProjectsJson(projects) {
-  const outputData = { projects };
-  const outputPath = path.join(__dirname, '..', 'output', 'projects.json');
+async function writeProjectsJson(projects, firmwareWatch, run) {
+  const latestFirmware = getLatestFirmware(firmwareCatalog);
+  const outputData = {
+    schemaVersion: CONFIG.OUTPUT_SCHEMA_VERSION,
+    generatedAt: run.generatedAt.toISOString(),
+    tracker: { name: packageInfo.name, version: packageInfo.version },
+    firmware: { default: defaultFirmware, latest: latestFirmware ? latestFirmware.version : null },
+    stats: run.stats,
+    failedRepos: run.failedRepos,
+    projects,
+    firmwareCatalog,
+    firmwareWatch
+  };
+  const outputPath = getOutputPath('projects.json');
   
   await fs.ensureDir(path.dirname(outputPath));
   await fs.writeJson(outputPath, outputData, { spaces: 2 });
@@ -285,34 +734,259 @@ function displayTokenInfo() {
   }
 }
 
+/**
+ * Parse command line options
+ * @param {Array<string>} args - Command line arguments
+ * @returns {{fetchMode?: string, rewriteMoved?: boolean, httpFixtures?: string}} Tracker options
+ */
+function parseCliOptions(args) {
+  const options = {};
+  
+  for (const arg of args) {
+    if (arg === '--graphql') {
+      options.fetchMode = 'graphql';
+    } else if (arg.startsWith('--fetch-mode=')) {
+      options.fetchMode = arg.slice('--fetch-mode='.length);
+    } else if (arg === '--rewrite-moved') {
+      options.rewriteMoved = true;
+    } else if (arg === '--record' || arg === '--replay') {
+      options.httpFixtures = arg.slice(2);
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * Resolve the fetch backend from CLI options, environment and projects.yml settings
+ * @param {Object} options - Tracker options
+ * @param {Object} config - Projects configuration
+ * @returns {string} Fetch mode, "rest" or "graphql"
+ * @throws {Error} If the requested fetch mode is unknown
+ */
+function resolveFetchMode(options, config) {
+  const settings = config.settings || {};
+  const fetchMode = options.fetchMode || process.env.NX_FETCH_MODE || settings.fetch_mode || 'rest';
+  
+  if (!CONFIG.FETCH_MODES.includes(fetchMode)) {
+    throw new Error(`Unknown fetch mode: "${fetchMode}". Expected one of: ${CONFIG.FETCH_MODES.join(', ')}`);
+  }
+  
+  if (fetchMode === 'graphql' && !CONFIG.GITHUB_TOKEN) {
+    console.warn('GraphQL API requires a GitHub token, using REST instead');
+    return 'rest';
+  }
+  
+  return fetchMode;
+}
+
+/**
+ * Resolve the HTTP fixture mode from CLI options and environment
+ * @param {Object} options - Tracker options
+ * @returns {string} Fixture mode: "off", "record" or "replay"
+ */
+function resolveFixtureMode(options) {
+  return options.httpFixtures || process.env.NX_HTTP_FIXTURES || 'off';
+}
+
+/**
+ * Throw if replay mode met requests that were never recorded: their
+ * projects would otherwise pass for failed fetches
+ * @returns {void}
+ * @throws {Error} Listing the missing requests
+ */
+function assertFixturesComplete() {
+  const { missing } = getFixtureStats();
+  
+  if (missing.length) {
+    throw new Error(`No recorded fixture for ${missing.length} request(s) in ${getFixturesDir()}, run with --record first:\n${missing.join('\n')}`);
+  }
+}
+
+/**
+ * Resolve the number of releases kept per project in the release history
+ * @param {Object} config - Projects configuration
+ * @returns {number} Release history limit (0 disables the history)
+ * @throws {Error} If the configured value is invalid
+ */
+function resolveReleaseHistoryLimit(config) {
+  const settings = config.settings || {};
+  const limit = settings.release_history ?? CONFIG.RELEASE_HISTORY_LIMIT;
+  
+  if (!Number.isInteger(limit) || limit < 0 || limit > CONFIG.MAX_RELEASES_PER_PAGE) {
+    throw new Error(`Invalid release_history setting: "${limit}". Expected an integer between 0 and ${CONFIG.MAX_RELEASES_PER_PAGE}`);
+  }
+  
+  return limit;
+}
+
+/**
+ * Resolve firmware detection settings
+ * @param {Object} config - Projects configuration
+ * @returns {{enabled: boolean, readme: boolean}} Firmware detection settings
+ */
+function resolveFirmwareDetection(config) {
+  const settings = (config.settings || {}).firmware_detection || {};
+  
+  return {
+    enabled: settings.enabled !== false,
+    readme: settings.readme === true
+  };
+}
+
+/**
+ * Resolve the default version source of projects
+ * @param {Object} config - Projects configuration
+ * @returns {string} Version source: "auto", "release", "tag" or "commit"
+ * @throws {Error} If the configured value is invalid
+ */
+function resolveVersionSource(config) {
+  const settings = config.settings || {};
+  const source = settings.version_source || 'auto';
+  
+  if (!CONFIG.VERSION_SOURCES.includes(source)) {
+    throw new Error(`Invalid version_source setting: "${source}". Expected one of: ${CONFIG.VERSION_SOURCES.join(', ')}`);
+  }
+  
+  return source;
+}
+
+/**
+ * Resolve the share of failed fetches the run tolerates
+ * @param {Object} config - Projects configuration
+ * @returns {number} Maximum failure ratio, between 0 and 1
+ * @throws {Error} If the configured value is invalid
+ */
+function resolveMaxFailureRatio(config) {
+  const settings = config.settings || {};
+  const ratio = process.env.NX_MAX_FAILURE_RATIO !== undefined
+    ? Number(process.env.NX_MAX_FAILURE_RATIO)
+    : settings.max_failure_ratio ?? CONFIG.MAX_FAILURE_RATIO;
+  
+  if (typeof ratio !== 'number' || Number.isNaN(ratio) || ratio < 0 || ratio > 1) {
+    throw new Error(`Invalid max_failure_ratio setting: "${ratio}". Expected a number between 0 and 1`);
+  }
+  
+  return ratio;
+}
+
+/**
+ * Resolve whether renamed and transferred repositories are rewritten in the configuration
+ * @param {Object} options - Tracker options
+ * @param {Object} config - Projects configuration
+ * @returns {boolean} True to rewrite projects.yml and firmware.yml
+ */
+function resolveRewriteMoved(options, config) {
+  const settings = config.settings || {};
+  return options.rewriteMoved === true || settings.rewrite_moved_repos === true;
+}
+
 /**
  * Main function to orchestrate the entire tracking process
+ * @param {Object} options - Tracker options
+ * @param {string} [options.fetchMode] - Fetch backend, "rest" or "graphql"
+ * @param {boolean} [options.rewriteMoved] - Rewrite moved repositories in the configuration
+ * @param {string} [options.httpFixtures] - "record" or "replay" API responses, see http-fixtures.js
  * @returns {Promise<Object>} Final output data
  */
-async function runTracker() {
+async function runTracker(options = {}) {
+  const startedAt = new Date();
+  
   try {
     console.log('Starting NX Projects Tracker...\n');
     
     // Display token information
     displayTokenInfo();
+    
+    const fixtureMode = resolveFixtureMode(options);
+    setFixtureMode(fixtureMode);
+    // Replayed runs never touch output/ and its history
+    const outputDir = selectOutputDir(fixtureMode);
+    if (fixtureMode !== 'off') {
+      console.log(`HTTP fixtures: ${fixtureMode} (${getFixturesDir()}), output: ${outputDir}`);
+    }
     console.log('');
     
-    // Load configurations
+    // Load configurations and HTTP cache
+    await loadHttpCache();
     await loadFirmwareConfig();
     const config = await loadProjectsConfig();
+    checkLegacyFirmwareKeys(config.projects);
+    
+    const fetchMode = resolveFetchMode(options, config);
+    const maxFailureRatio = resolveMaxFailureRatio(config);
+    releaseHistoryLimit = resolveReleaseHistoryLimit(config);
+    firmwareDetection = resolveFirmwareDetection(config);
+    defaultVersionSource = resolveVersionSource(config);
+    
+    console.log(`Found ${config.projects.length} projects to process (${fetchMode} API)\n`);
     
-    console.log(`Found ${config.projects.length} projects to process\n`);
+    // Process all projects, unavailable and failed repositories keep their previous record
+    const previousProjects = await loadPreviousProjects();
+    const { projects: processedProjects, failed } = restoreFailedProjects(
+      restoreUnavailableProjects(await processAllProjects(config.projects, fetchMode), previousProjects),
+      config.projects.map(project => project.repo),
+      previousProjects
+    );
     
-    // Process all projects
-    const processedProjects = await processAllProjects(config.projects);
+    assertFixturesComplete();
+    
+    // Nothing is written when too many fetches failed (revoked token, API outage)
+    const failureRatio = config.projects.length ? failed.length / config.projects.length : 0;
+    if (failureRatio > maxFailureRatio) {
+      throw new Error(`${failed.length} of ${config.projects.length} projects failed to fetch (${Math.round(failureRatio * 100)}%), above max_failure_ratio ${maxFailureRatio}`);
+    }
+    
+    if (resolveRewriteMoved(options, config)) {
+      await applyRepositoryMoves(processedProjects, config.projects);
+    }
+    
+    await applyAtmosphereRequirements(processedProjects, config.projects);
+    
+    // Compare with the previous run before overwriting it
+    const changeReport = buildChangeReport(
+      previousProjects,
+      processedProjects,
+      config.projects.map(project => project.repo)
+    );
+    
+    const firmwareWatch = buildFirmwareWatch(processedProjects, getLatestFirmware(firmwareCatalog));
     
     // Generate output
-    const outputPath = await writeProjectsJson(processedProjects);
+    const stats = buildRunStats(config.projects.length, processedProjects, failed, startedAt);
+    const outputPath = await writeProjectsJson(processedProjects, firmwareWatch, {
+      generatedAt: startedAt,
+      stats,
+      failedRepos: failed
+    });
+    const changePaths = await writeChangeReport(changeReport);
+    const feeds = await writeFeeds(processedProjects);
+    const history = await recordSnapshot(processedProjects);
+    await saveHttpCache();
     
-    console.log(`\nSuccessfully processed ${processedProjects.length} projects`);
+    const cacheStats = getHttpCacheStats();
+    console.log(`\nSuccessfully processed ${stats.processed} of ${stats.configured} projects`);
+    if (failed.length) {
+      console.log(`Failed to fetch ${failed.length} projects: ${stats.stale} kept from the previous run, ${stats.skipped} skipped`);
+    }
+    const rateLimit = getRateLimitStatus();
+    console.log(`HTTP cache: ${cacheStats.hits} not modified, ${cacheStats.misses} fetched`);
+    console.log(`API requests: ${rateLimit.requests} (rate limit remaining: ${rateLimit.remaining ?? 'unknown'})`);
+    if (fixtureMode !== 'off') {
+      const fixtureStats = getFixtureStats();
+      console.log(`HTTP fixtures: ${fixtureStats.recorded} recorded, ${fixtureStats.replayed} replayed`);
+    }
     console.log(`Output written to: ${outputPath}`);
+    console.log(`Time series (${history.snapshots} snapshots) written to: ${history.timeseriesPath}`);
+    console.log(`Changes (${changeReport.summary}) written to: ${changePaths.markdownPath}`);
+    console.log(`Release feeds (${feeds.entries} entries) written to: ${feeds.feedsDir}`);
+    
+    if (firmwareWatch) {
+      const { summary } = firmwareWatch;
+      console.log(`Firmware ${firmwareWatch.firmware} watch: ${summary['released-after']} released after, ${summary['declares-support']} declare support, ${summary['not-updated']} not yet updated`);
+    }
     
-    return { projects: processedProjects };
+    return { projects: processedProjects, stats };
   } catch (error) {
     console.error('Fatal error:', error.message);
     process.exit(1);
@@ -325,15 +999,17 @@ async function runTracker() {
 
 // Run the tracker if this file is executed directly
 if (require.main === module) {
-  runTracker();
+  runTracker(parseCliOptions(process.argv.slice(2)));
 }
 
 // Export functions for testing or external use
 module.exports = {
   runTracker,
   processProject,
+  processAllProjects,
   fetchRepositoryInfo,
   fetchLatestRelease,
+  fetchReleases,
   parseRepoString,
   getFirmwareRequirement,
   loadFirmwareConfig,
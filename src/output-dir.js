@@ -0,0 +1,52 @@
+/**
+ * Output Directory
+ *
+ * Location of everything a run reads back and writes: projects.json, the
+ * change report, release history, feeds and snapshots. Live runs use
+ * `output/`; replayed runs use a separate directory so fixtures never
+ * overwrite the published data or append to its history.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const path = require('path');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  OUTPUT_DIR: path.join(__dirname, '..', 'output'),
+  REPLAY_OUTPUT_DIR: process.env.NX_REPLAY_OUTPUT_DIR || path.join(__dirname, '..', 'replay-output')
+};
+
+// ============================================================================
+// OUTPUT DIRECTORY
+// ============================================================================
+
+let outputDir = CONFIG.OUTPUT_DIR;
+
+/**
+ * Select the output directory for an HTTP fixture mode
+ * @param {string} fixtureMode - "off", "record" or "replay"
+ * @returns {string} Selected output directory
+ */
+function selectOutputDir(fixtureMode) {
+  outputDir = fixtureMode === 'replay' ? CONFIG.REPLAY_OUTPUT_DIR : CONFIG.OUTPUT_DIR;
+  return outputDir;
+}
+
+/**
+ * Get a path inside the output directory
+ * @param {...string} segments - Path segments relative to the output directory
+ * @returns {string} Absolute path
+ */
+function getOutputPath(...segments) {
+  return path.join(outputDir, ...segments);
+}
+
+module.exports = {
+  selectOutputDir,
+  getOutputPath
+};
@@ -0,0 +1,36 @@
+/**
+ * Worker Pool
+ *
+ * Minimal bounded-concurrency task runner used to process projects in
+ * parallel without flooding the API.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+/**
+ * Run an async worker over every item with at most `concurrency` workers in flight
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called as worker(item, index)
+ * @param {number} concurrency - Maximum number of concurrent workers
+ * @returns {Promise<Array>} Worker results in the same order as the items
+ */
+async function runPool(items, worker, concurrency) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
+
+module.exports = {
+  runPool
+};
@@ -0,0 +1,95 @@
+/**
+ * Project Metadata
+ *
+ * Optional per-project fields of projects.yml (category, homebrew type, tags,
+ * display name, description and homepage overrides, hidden flag), validated
+ * here and merged into the project data by the tracker.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  PROJECT_TYPES: ['nro', 'sysmodule', 'overlay', 'payload', 'pc-tool', 'android-app'],
+  // Keys handled elsewhere in the tracker
+  OTHER_KEYS: ['repo', 'channel', 'version_source', 'atmosphere'],
+  METADATA_KEYS: ['category', 'type', 'tags', 'display_name', 'description', 'homepage', 'hidden']
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check an optional string field
+ * @param {Object} project - Project configuration object
+ * @param {string} key - Field name
+ * @returns {string|null} Trimmed value or null when absent
+ * @throws {Error} If the value is not a non-empty string
+ */
+function getOptionalString(project, key) {
+  const value = project[key];
+
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`Invalid ${key} for ${project.repo}: expected a non-empty string`);
+  }
+
+  return value.trim();
+}
+
+/**
+ * Get the validated metadata of a project
+ * @param {Object} project - Project configuration object
+ * @returns {{category: string|null, type: string|null, tags: Array<string>, displayName: string|null, description: string|null, homepage: string|null, hidden: boolean}} Metadata
+ * @throws {Error} If a field is unknown or invalid
+ */
+function getProjectMetadata(project) {
+  const unknownKeys = Object.keys(project)
+    .filter(key => !CONFIG.OTHER_KEYS.includes(key) && !CONFIG.METADATA_KEYS.includes(key));
+
+  if (unknownKeys.length) {
+    throw new Error(`Unknown field(s) for ${project.repo}: ${unknownKeys.join(', ')}`);
+  }
+
+  const type = getOptionalString(project, 'type');
+  if (type && !CONFIG.PROJECT_TYPES.includes(type)) {
+    throw new Error(`Invalid type "${type}" for ${project.repo}. Expected one of: ${CONFIG.PROJECT_TYPES.join(', ')}`);
+  }
+
+  const tags = project.tags === undefined ? [] : project.tags;
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+    throw new Error(`Invalid tags for ${project.repo}: expected a list of strings`);
+  }
+
+  const homepage = getOptionalString(project, 'homepage');
+  if (homepage && !/^https?:\/\/\S+$/.test(homepage)) {
+    throw new Error(`Invalid homepage "${homepage}" for ${project.repo}: expected an http(s) URL`);
+  }
+
+  if (project.hidden !== undefined && typeof project.hidden !== 'boolean') {
+    throw new Error(`Invalid hidden flag for ${project.repo}: expected true or false`);
+  }
+
+  return {
+    category: getOptionalString(project, 'category'),
+    type,
+    tags: [...new Set(tags.map(tag => tag.trim().toLowerCase()))],
+    displayName: getOptionalString(project, 'display_name'),
+    description: getOptionalString(project, 'description'),
+    homepage,
+    hidden: project.hidden === true
+  };
+}
+
+module.exports = {
+  getProjectMetadata,
+  PROJECT_TYPES: CONFIG.PROJECT_TYPES
+};
@@ -0,0 +1,287 @@
+/**
+ * Gitea Provider
+ *
+ * Fetches repositories, releases, tags, commits and READMEs from the Gitea
+ * v1 API, also served by Forgejo (Codeberg) and self-hosted instances, and
+ * converts them to the GitHub REST shapes. The API is close to GitHub's: only
+ * repository fields differ, and there is no push date (the last update
+ * stands in).
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { fetchJson } = require('../http-client');
+const { classifyUnavailableResponse } = require('../repository-status');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  // Only sent to codeberg.org, never to self-hosted instances
+  TOKEN: process.env.CODEBERG_TOKEN,
+  TOKEN_HOST: 'codeberg.org',
+  RELEASES_PER_PAGE: 10,
+  MAX_PAGE_SIZE: 50, // Gitea caps pages at 50 by default
+  TAGS_PER_PAGE: 50,
+  README_FILE: 'README.md'
+};
+
+/**
+ * Create Gitea API headers, authenticated on Codeberg when a token is set
+ * @param {{host: string}} ref - Repository reference
+ * @returns {Object} Headers object for Gitea API requests
+ */
+function createGiteaHeaders({ host }) {
+  const headers = {
+    'Accept': 'application/json',
+    'User-Agent': 'NX-Projects-Tracker/1.0.0'
+  };
+
+  if (CONFIG.TOKEN && host === CONFIG.TOKEN_HOST) {
+    headers['Authorization'] = `token ${CONFIG.TOKEN}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Get the API URL of a repository
+ * @param {{host: string, owner: string, repo: string}} ref - Repository reference
+ * @returns {string} Repository API URL
+ */
+function getRepositoryUrl({ host, owner, repo }) {
+  return `https://${host}/api/v1/repos/${owner}/${repo}`;
+}
+
+// ============================================================================
+// RESPONSE CONVERSION
+// ============================================================================
+
+/**
+ * Convert a Gitea repository to the GitHub REST repository shape
+ * @param {{host: string}} ref - Repository reference
+ * @param {Object} repository - Gitea repository
+ * @returns {Object} Repository information
+ */
+function toRestRepository({ host }, repository) {
+  const owner = repository.owner || {};
+
+  return {
+    name: repository.name,
+    full_name: repository.full_name,
+    html_url: repository.html_url,
+    description: repository.description,
+    homepage: repository.website || null,
+    stargazers_count: repository.stars_count || 0,
+    forks_count: repository.forks_count || 0,
+    updated_at: repository.updated_at,
+    created_at: repository.created_at,
+    pushed_at: repository.updated_at,
+    // GitHub counts open pull requests as issues
+    open_issues_count: (repository.open_issues_count || 0) + (repository.open_pr_counter || 0),
+    archived: Boolean(repository.archived),
+    disabled: false,
+    language: repository.language || null,
+    owner: {
+      login: owner.login,
+      avatar_url: owner.avatar_url,
+      html_url: owner.html_url || `https://${host}/${owner.login}`
+    }
+  };
+}
+
+/**
+ * Convert a Gitea release to the GitHub REST release shape
+ * @param {Object} release - Gitea release
+ * @returns {Object} Release information
+ */
+function toRestRelease(release) {
+  return {
+    tag_name: release.tag_name,
+    name: release.name,
+    html_url: release.html_url,
+    published_at: release.published_at || release.created_at,
+    prerelease: Boolean(release.prerelease),
+    draft: Boolean(release.draft),
+    body: release.body || '',
+    assets: (release.assets || []).map(asset => ({
+      name: asset.name,
+      size: asset.size,
+      content_type: null,
+      download_count: asset.download_count,
+      browser_download_url: asset.browser_download_url
+    }))
+  };
+}
+
+// ============================================================================
+// API REQUESTS
+// ============================================================================
+
+/**
+ * Fetch repository information from Gitea API
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<{repoInfo: Object|null, unavailable: Object|null}>} Repository information,
+ *   or why the repository is unavailable (deleted, private); both null on other errors
+ */
+async function fetchRepositoryState(ref) {
+  try {
+    const response = await fetchJson(getRepositoryUrl(ref), createGiteaHeaders(ref));
+
+    if (!response.ok) {
+      const unavailable = classifyUnavailableResponse(response);
+
+      if (unavailable) {
+        console.warn(`Repository ${unavailable.status}: ${ref.id} (${unavailable.reason})`);
+        return { repoInfo: null, unavailable };
+      }
+
+      throw new Error(`Gitea API error: ${response.status} ${response.statusText}`);
+    }
+
+    return { repoInfo: toRestRepository(ref, response.data), unavailable: null };
+  } catch (error) {
+    console.error(`Error fetching ${ref.id}:`, error.message);
+    return { repoInfo: null, unavailable: null };
+  }
+}
+
+/**
+ * Fetch latest release information from Gitea API
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<Object|null>} Latest release information or null if not found
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+async function fetchLatestRelease(ref) {
+  const response = await fetchJson(`${getRepositoryUrl(ref)}/releases/latest`, createGiteaHeaders(ref));
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      return null;
+    }
+
+    throw new Error(`Gitea API error: ${response.status} ${response.statusText}`);
+  }
+
+  return toRestRelease(response.data);
+}
+
+/**
+ * Fetch recent releases (including pre-releases) from Gitea API, page by
+ * page when more are requested than fit in one page
+ * @param {Object} ref - Repository reference
+ * @param {number} count - Number of releases to fetch
+ * @returns {Promise<Array<Object>>} Releases, newest first (empty if none)
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+async function fetchReleases(ref, count = CONFIG.RELEASES_PER_PAGE) {
+  const limit = Math.min(count, CONFIG.MAX_PAGE_SIZE);
+  const releases = [];
+
+  for (let page = 1; releases.length < count; page++) {
+    const pageQuery = page > 1 ? `&page=${page}` : '';
+    const response = await fetchJson(`${getRepositoryUrl(ref)}/releases?limit=${limit}${pageQuery}`, createGiteaHeaders(ref));
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return [];
+      }
+
+      throw new Error(`Gitea API error: ${response.status} ${response.statusText}`);
+    }
+
+    releases.push(...response.data.map(toRestRelease));
+
+    if (response.data.length < limit) {
+      break;
+    }
+  }
+
+  return releases.slice(0, count);
+}
+
+/**
+ * Fetch the README of a repository from the default branch
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<string|null>} README content or null if not found
+ */
+async function fetchReadme(ref) {
+  try {
+    const response = await fetchJson(`${getRepositoryUrl(ref)}/contents/${CONFIG.README_FILE}`, createGiteaHeaders(ref));
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+
+      throw new Error(`Gitea API error: ${response.status} ${response.statusText}`);
+    }
+
+    return Buffer.from(response.data.content, response.data.encoding || 'base64').toString('utf8');
+  } catch (error) {
+    console.error(`Error fetching README for ${ref.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch the tags of a repository from Gitea API
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<Array<Object>>} Tags with their commit SHA and web URL (empty if none)
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+async function fetchTags(ref) {
+  const response = await fetchJson(`${getRepositoryUrl(ref)}/tags?limit=${CONFIG.TAGS_PER_PAGE}`, createGiteaHeaders(ref));
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      return [];
+    }
+
+    throw new Error(`Gitea API error: ${response.status} ${response.statusText}`);
+  }
+
+  return response.data.map(tag => ({
+    name: tag.name,
+    commit: { sha: tag.commit.sha },
+    html_url: `https://${ref.host}/${ref.path}/src/tag/${encodeURIComponent(tag.name)}`
+  }));
+}
+
+/**
+ * Fetch a commit from Gitea API
+ * @param {Object} ref - Repository reference
+ * @param {string|null} sha - Commit SHA, or null for the latest commit of the default branch
+ * @returns {Promise<Object|null>} Commit information or null if not found (empty repositories included)
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+async function fetchCommit(ref, sha = null) {
+  const url = sha
+    ? `${getRepositoryUrl(ref)}/git/commits/${sha}`
+    : `${getRepositoryUrl(ref)}/commits?limit=1`;
+
+  const response = await fetchJson(url, createGiteaHeaders(ref));
+
+  if (!response.ok) {
+    // 409 is an empty repository
+    if (response.status === 404 || response.status === 409) {
+      return null;
+    }
+
+    throw new Error(`Gitea API error: ${response.status} ${response.statusText}`);
+  }
+
+  // Same shape as GitHub's commits
+  return sha ? response.data : response.data[0] || null;
+}
+
+module.exports = {
+  fetchRepositoryState,
+  fetchLatestRelease,
+  fetchReleases,
+  fetchReadme,
+  fetchTags,
+  fetchCommit
+};
@@ -0,0 +1,212 @@
+/**
+ * GitHub Provider
+ *
+ * Fetches repositories, releases, tags, commits and READMEs from the GitHub
+ * REST API. The other providers convert their responses to the shapes
+ * returned here.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { fetchJson } = require('../http-client');
+const { classifyUnavailableResponse } = require('../repository-status');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  API_BASE: 'https://api.github.com',
+  TOKEN: process.env.GITHUB_TOKEN,
+  RELEASES_PER_PAGE: 10,
+  TAGS_PER_PAGE: 100
+};
+
+/**
+ * Create GitHub API headers with optional authentication
+ * @returns {Object} Headers object for GitHub API requests
+ */
+function createGitHubHeaders() {
+  const headers = {
+    'Accept': 'application/vnd.github.v3+json',
+    'User-Agent': 'NX-Projects-Tracker/1.0.0'
+  };
+
+  if (CONFIG.TOKEN) {
+    headers['Authorization'] = `token ${CONFIG.TOKEN}`;
+  }
+
+  return headers;
+}
+
+// ============================================================================
+// API REQUESTS
+// ============================================================================
+
+/**
+ * Fetch latest release information from GitHub API
+ * @param {{owner: string, repo: string}} ref - Repository reference
+ * @returns {Promise<Object|null>} Latest release information or null if not found
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+async function fetchLatestRelease({ owner, repo }) {
+  const headers = createGitHubHeaders();
+  const url = `${CONFIG.API_BASE}/repos/${owner}/${repo}/releases/latest`;
+
+  const response = await fetchJson(url, headers);
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      // No releases found, this is normal for many repositories
+      return null;
+    }
+
+    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  }
+
+  return response.data;
+}
+
+/**
+ * Fetch recent releases (including pre-releases) from GitHub API
+ * @param {{owner: string, repo: string}} ref - Repository reference
+ * @param {number} perPage - Number of releases to fetch
+ * @returns {Promise<Array<Object>>} Releases, newest first (empty if none)
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+async function fetchReleases({ owner, repo }, perPage = CONFIG.RELEASES_PER_PAGE) {
+  const headers = createGitHubHeaders();
+  const url = `${CONFIG.API_BASE}/repos/${owner}/${repo}/releases?per_page=${perPage}`;
+
+  const response = await fetchJson(url, headers);
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      return [];
+    }
+
+    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  }
+
+  return response.data;
+}
+
+/**
+ * Fetch the README of a repository from GitHub API
+ * @param {{owner: string, repo: string}} ref - Repository reference
+ * @returns {Promise<string|null>} README content or null if not found
+ */
+async function fetchReadme({ owner, repo }) {
+  const headers = createGitHubHeaders();
+  const url = `${CONFIG.API_BASE}/repos/${owner}/${repo}/readme`;
+
+  try {
+    const response = await fetchJson(url, headers);
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+
+      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    }
+
+    return Buffer.from(response.data.content, response.data.encoding || 'base64').toString('utf8');
+  } catch (error) {
+    console.error(`Error fetching README for ${owner}/${repo}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch repository information from GitHub API. Renamed and transferred
+ * repositories are followed through GitHub's redirect.
+ * @param {{owner: string, repo: string}} ref - Repository reference
+ * @returns {Promise<{repoInfo: Object|null, unavailable: Object|null}>} Repository information,
+ *   or why the repository is unavailable (deleted, taken down); both null on other errors
+ */
+async function fetchRepositoryState({ owner, repo }) {
+  const headers = createGitHubHeaders();
+  const url = `${CONFIG.API_BASE}/repos/${owner}/${repo}`;
+
+  try {
+    const response = await fetchJson(url, headers);
+
+    if (!response.ok) {
+      const unavailable = classifyUnavailableResponse(response);
+
+      if (unavailable) {
+        console.warn(`Repository ${unavailable.status}: ${owner}/${repo} (${unavailable.reason})`);
+        return { repoInfo: null, unavailable };
+      }
+
+      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    }
+
+    return { repoInfo: response.data, unavailable: null };
+  } catch (error) {
+    console.error(`Error fetching ${owner}/${repo}:`, error.message);
+    return { repoInfo: null, unavailable: null };
+  }
+}
+
+/**
+ * Fetch the tags of a repository from GitHub API
+ * @param {{owner: string, repo: string}} ref - Repository reference
+ * @returns {Promise<Array<Object>>} Tags with their commit SHA and web URL (empty if none)
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+async function fetchTags({ owner, repo }) {
+  const headers = createGitHubHeaders();
+  const url = `${CONFIG.API_BASE}/repos/${owner}/${repo}/tags?per_page=${CONFIG.TAGS_PER_PAGE}`;
+
+  const response = await fetchJson(url, headers);
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      return [];
+    }
+
+    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  }
+
+  return response.data.map(tag => ({ ...tag, html_url: `https://github.com/${owner}/${repo}/tree/${encodeURIComponent(tag.name)}` }));
+}
+
+/**
+ * Fetch a commit from GitHub API
+ * @param {{owner: string, repo: string}} ref - Repository reference
+ * @param {string|null} sha - Commit SHA, or null for the latest commit of the default branch
+ * @returns {Promise<Object|null>} Commit information or null if not found (empty repositories included)
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+async function fetchCommit({ owner, repo }, sha = null) {
+  const headers = createGitHubHeaders();
+  const url = sha
+    ? `${CONFIG.API_BASE}/repos/${owner}/${repo}/commits/${sha}`
+    : `${CONFIG.API_BASE}/repos/${owner}/${repo}/commits?per_page=1`;
+
+  const response = await fetchJson(url, headers);
+
+  if (!response.ok) {
+    // 409 is an empty repository
+    if (response.status === 404 || response.status === 409) {
+      return null;
+    }
+
+    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  }
+
+  return sha ? response.data : response.data[0] || null;
+}
+
+module.exports = {
+  createGitHubHeaders,
+  fetchRepositoryState,
+  fetchLatestRelease,
+  fetchReleases,
+  fetchReadme,
+  fetchTags,
+  fetchCommit
+};
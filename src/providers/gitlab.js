@@ -0,0 +1,334 @@
+/**
+ * GitLab Provider
+ *
+ * Fetches projects, releases, tags, commits and READMEs from the GitLab v4
+ * API (gitlab.com or a self-hosted instance) and converts them to the GitHub
+ * REST shapes.
+ *
+ * GitLab has no pre-release flag, no asset sizes or download counts and no
+ * push date: pre-releases are recognized by their tag (`v2.0.0-beta1`),
+ * assets report null sizes and counts, and the last activity date stands
+ * in for the push date.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { fetchJson } = require('../http-client');
+const { classifyUnavailableResponse } = require('../repository-status');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  // Only sent to gitlab.com, never to self-hosted instances
+  TOKEN: process.env.GITLAB_TOKEN,
+  TOKEN_HOST: 'gitlab.com',
+  RELEASES_PER_PAGE: 10,
+  MAX_RELEASE_PAGES: 10, // pages scanned for the latest stable release
+  TAGS_PER_PAGE: 100,
+  README_FILE: 'README.md',
+  PRERELEASE_TAG: /[-.](alpha|beta|rc|pre|preview|dev|nightly)/i
+};
+
+/**
+ * Create GitLab API headers, authenticated on gitlab.com when a token is set
+ * @param {{host: string}} ref - Repository reference
+ * @returns {Object} Headers object for GitLab API requests
+ */
+function createGitLabHeaders({ host }) {
+  const headers = {
+    'Accept': 'application/json',
+    'User-Agent': 'NX-Projects-Tracker/1.0.0'
+  };
+
+  if (CONFIG.TOKEN && host === CONFIG.TOKEN_HOST) {
+    headers['PRIVATE-TOKEN'] = CONFIG.TOKEN;
+  }
+
+  return headers;
+}
+
+/**
+ * Get the API URL of a project, identified by its URL-encoded path
+ * @param {{host: string, path: string}} ref - Repository reference
+ * @returns {string} Project API URL
+ */
+function getProjectUrl({ host, path }) {
+  return `https://${host}/api/v4/projects/${encodeURIComponent(path)}`;
+}
+
+// ============================================================================
+// RESPONSE CONVERSION
+// ============================================================================
+
+/**
+ * Make a GitLab URL absolute (group avatars are returned as paths)
+ * @param {string} host - GitLab host
+ * @param {string|null} url - Absolute URL or path
+ * @returns {string|null} Absolute URL
+ */
+function toAbsoluteUrl(host, url) {
+  return url && url.startsWith('/') ? `https://${host}${url}` : url || null;
+}
+
+/**
+ * Convert a GitLab project to the GitHub REST repository shape
+ * @param {{host: string}} ref - Repository reference
+ * @param {Object} project - GitLab project
+ * @param {string|null} language - Main language of the project
+ * @returns {Object} Repository information
+ */
+function toRestRepository({ host }, project, language) {
+  const namespace = project.namespace || {};
+
+  return {
+    name: project.path,
+    full_name: project.path_with_namespace,
+    html_url: project.web_url,
+    description: project.description,
+    homepage: null,
+    stargazers_count: project.star_count || 0,
+    forks_count: project.forks_count || 0,
+    updated_at: project.last_activity_at,
+    created_at: project.created_at,
+    pushed_at: project.last_activity_at,
+    // Only present when the issue tracker is enabled
+    open_issues_count: project.open_issues_count ?? null,
+    archived: Boolean(project.archived),
+    disabled: false,
+    language,
+    owner: {
+      login: namespace.full_path || namespace.path,
+      avatar_url: toAbsoluteUrl(host, namespace.avatar_url),
+      html_url: namespace.web_url || `https://${host}/${namespace.full_path}`
+    }
+  };
+}
+
+/**
+ * Convert a GitLab release to the GitHub REST release shape
+ * @param {{host: string, path: string}} ref - Repository reference
+ * @param {Object} release - GitLab release
+ * @returns {Object} Release information
+ */
+function toRestRelease({ host, path }, release) {
+  const links = (release.assets && release.assets.links) || [];
+
+  return {
+    tag_name: release.tag_name,
+    name: release.name,
+    html_url: (release._links && release._links.self) || `https://${host}/${path}/-/releases/${encodeURIComponent(release.tag_name)}`,
+    published_at: release.released_at || release.created_at,
+    prerelease: CONFIG.PRERELEASE_TAG.test(release.tag_name),
+    // Scheduled releases are not published yet
+    draft: Boolean(release.upcoming_release),
+    body: release.description || '',
+    assets: links.map(link => ({
+      name: link.name,
+      size: null,
+      content_type: null,
+      download_count: null,
+      browser_download_url: link.direct_asset_url || link.url
+    }))
+  };
+}
+
+/**
+ * Convert a GitLab commit to the GitHub REST commit shape
+ * @param {Object} commit - GitLab commit
+ * @returns {Object} Commit information
+ */
+function toRestCommit(commit) {
+  return {
+    sha: commit.id,
+    html_url: commit.web_url,
+    commit: {
+      message: commit.message || commit.title || '',
+      committer: { date: commit.committed_date }
+    }
+  };
+}
+
+// ============================================================================
+// API REQUESTS
+// ============================================================================
+
+/**
+ * Fetch the main language of a project
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<string|null>} Language with the largest share, or null
+ */
+async function fetchLanguage(ref) {
+  try {
+    const response = await fetchJson(`${getProjectUrl(ref)}/languages`, createGitLabHeaders(ref));
+
+    if (!response.ok) {
+      return null;
+    }
+
+    const languages = Object.entries(response.data || {}).sort((a, b) => b[1] - a[1]);
+    return languages.length ? languages[0][0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetch project information from GitLab API
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<{repoInfo: Object|null, unavailable: Object|null}>} Repository information,
+ *   or why the project is unavailable (deleted, private); both null on other errors
+ */
+async function fetchRepositoryState(ref) {
+  try {
+    const response = await fetchJson(getProjectUrl(ref), createGitLabHeaders(ref));
+
+    if (!response.ok) {
+      const unavailable = classifyUnavailableResponse(response);
+
+      if (unavailable) {
+        console.warn(`Repository ${unavailable.status}: ${ref.id} (${unavailable.reason})`);
+        return { repoInfo: null, unavailable };
+      }
+
+      throw new Error(`GitLab API error: ${response.status} ${response.statusText}`);
+    }
+
+    return { repoInfo: toRestRepository(ref, response.data, await fetchLanguage(ref)), unavailable: null };
+  } catch (error) {
+    console.error(`Error fetching ${ref.id}:`, error.message);
+    return { repoInfo: null, unavailable: null };
+  }
+}
+
+/**
+ * Fetch recent releases from GitLab API
+ * @param {Object} ref - Repository reference
+ * @param {number} perPage - Number of releases to fetch
+ * @param {number} page - Page number, starting at 1
+ * @returns {Promise<Array<Object>>} Releases, newest first (empty if none)
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+async function fetchReleases(ref, perPage = CONFIG.RELEASES_PER_PAGE, page = 1) {
+  const pageQuery = page > 1 ? `&page=${page}` : '';
+
+  const response = await fetchJson(`${getProjectUrl(ref)}/releases?per_page=${perPage}${pageQuery}`, createGitLabHeaders(ref));
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      return [];
+    }
+
+    throw new Error(`GitLab API error: ${response.status} ${response.statusText}`);
+  }
+
+  return response.data.map(release => toRestRelease(ref, release));
+}
+
+/**
+ * Fetch the latest stable release. GitLab has no equivalent of GitHub's
+ * `/releases/latest`, so releases are scanned page by page, newest first,
+ * up to MAX_RELEASE_PAGES pages.
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<Object|null>} Latest release information or null if not found
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+async function fetchLatestRelease(ref) {
+  for (let page = 1; page <= CONFIG.MAX_RELEASE_PAGES; page++) {
+    const releases = await fetchReleases(ref, CONFIG.RELEASES_PER_PAGE, page);
+    const stable = releases.find(release => !release.prerelease && !release.draft);
+
+    if (stable || releases.length < CONFIG.RELEASES_PER_PAGE) {
+      return stable || null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fetch the README of a project from the default branch
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<string|null>} README content or null if not found
+ */
+async function fetchReadme(ref) {
+  const url = `${getProjectUrl(ref)}/repository/files/${encodeURIComponent(CONFIG.README_FILE)}?ref=HEAD`;
+
+  try {
+    const response = await fetchJson(url, createGitLabHeaders(ref));
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+
+      throw new Error(`GitLab API error: ${response.status} ${response.statusText}`);
+    }
+
+    return Buffer.from(response.data.content, response.data.encoding || 'base64').toString('utf8');
+  } catch (error) {
+    console.error(`Error fetching README for ${ref.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch the tags of a project from GitLab API
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<Array<Object>>} Tags with their commit SHA and web URL (empty if none)
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+async function fetchTags(ref) {
+  const response = await fetchJson(`${getProjectUrl(ref)}/repository/tags?per_page=${CONFIG.TAGS_PER_PAGE}`, createGitLabHeaders(ref));
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      return [];
+    }
+
+    throw new Error(`GitLab API error: ${response.status} ${response.statusText}`);
+  }
+
+  return response.data.map(tag => ({
+    name: tag.name,
+    commit: { sha: tag.commit.id },
+    html_url: `https://${ref.host}/${ref.path}/-/tags/${encodeURIComponent(tag.name)}`
+  }));
+}
+
+/**
+ * Fetch a commit from GitLab API
+ * @param {Object} ref - Repository reference
+ * @param {string|null} sha - Commit SHA, or null for the latest commit of the default branch
+ * @returns {Promise<Object|null>} Commit information or null if not found
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+async function fetchCommit(ref, sha = null) {
+  const url = sha
+    ? `${getProjectUrl(ref)}/repository/commits/${sha}`
+    : `${getProjectUrl(ref)}/repository/commits?per_page=1`;
+
+  const response = await fetchJson(url, createGitLabHeaders(ref));
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      return null;
+    }
+
+    throw new Error(`GitLab API error: ${response.status} ${response.statusText}`);
+  }
+
+  const commit = sha ? response.data : response.data[0];
+  return commit ? toRestCommit(commit) : null;
+}
+
+module.exports = {
+  fetchRepositoryState,
+  fetchLatestRelease,
+  fetchReleases,
+  fetchReadme,
+  fetchTags,
+  fetchCommit
+};
@@ -0,0 +1,122 @@
+/**
+ * Repository Providers
+ *
+ * Dispatches API requests to the provider hosting a project: GitHub, GitLab
+ * or Gitea/Forgejo. Every provider takes a repository reference from
+ * `parseRepoString()` and returns GitHub REST shaped repositories,
+ * releases, tags and commits, so the tracker builds the same project data
+ * wherever a project lives.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const github = require('./github');
+const gitlab = require('./gitlab');
+const gitea = require('./gitea');
+const { parseRepoString, formatRepoString, getRepoFileName } = require('./repo-string');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  PROVIDERS: { github, gitlab, gitea }
+};
+
+/**
+ * Get the provider implementation of a repository
+ * @param {{provider: string}} ref - Repository reference
+ * @returns {Object} Provider module
+ */
+function getProvider(ref) {
+  return CONFIG.PROVIDERS[ref.provider];
+}
+
+// ============================================================================
+// API REQUESTS
+// ============================================================================
+
+/**
+ * Fetch repository information
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<{repoInfo: Object|null, unavailable: Object|null}>} Repository information,
+ *   or why the repository is unavailable (deleted, taken down); both null on other errors
+ */
+function fetchRepositoryState(ref) {
+  return getProvider(ref).fetchRepositoryState(ref);
+}
+
+/**
+ * Fetch the latest stable release
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<Object|null>} Latest release information or null if not found
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+function fetchLatestRelease(ref) {
+  return getProvider(ref).fetchLatestRelease(ref);
+}
+
+/**
+ * Fetch recent releases, including pre-releases
+ * @param {Object} ref - Repository reference
+ * @param {number} perPage - Number of releases to fetch
+ * @returns {Promise<Array<Object>>} Releases, newest first (empty if none)
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+function fetchReleases(ref, perPage) {
+  return getProvider(ref).fetchReleases(ref, perPage);
+}
+
+/**
+ * Fetch the README of a repository
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<string|null>} README content or null if not found
+ */
+function fetchReadme(ref) {
+  return getProvider(ref).fetchReadme(ref);
+}
+
+/**
+ * Fetch the tags of a repository
+ * @param {Object} ref - Repository reference
+ * @returns {Promise<Array<Object>>} Tags with their commit SHA and web URL (empty if none)
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+function fetchTags(ref) {
+  return getProvider(ref).fetchTags(ref);
+}
+
+/**
+ * Fetch a commit
+ * @param {Object} ref - Repository reference
+ * @param {string|null} [sha] - Commit SHA, or null for the latest commit of the default branch
+ * @returns {Promise<Object|null>} Commit information or null if not found
+ * @throws {Error} On network errors and API errors other than "not found"
+ */
+function fetchCommit(ref, sha = null) {
+  return getProvider(ref).fetchCommit(ref, sha);
+}
+
+/**
+ * Check whether a repository can be fetched through the GitHub GraphQL API
+ * @param {{provider: string}} ref - Repository reference
+ * @returns {boolean} True for GitHub repositories
+ */
+function isGitHubRepository(ref) {
+  return ref.provider === 'github';
+}
+
+module.exports = {
+  parseRepoString,
+  formatRepoString,
+  getRepoFileName,
+  createGitHubHeaders: github.createGitHubHeaders,
+  fetchRepositoryState,
+  fetchLatestRelease,
+  fetchReleases,
+  fetchReadme,
+  fetchTags,
+  fetchCommit,
+  isGitHubRepository
+};
@@ -0,0 +1,137 @@
+/**
+ * Repository Strings
+ *
+ * Parses the `repo` field of projects.yml into a repository reference:
+ * hosting provider, host and path. Accepted forms:
+ *
+ * - `owner/repo`: GitHub
+ * - `gitlab:group/repo` (nested groups allowed), `codeberg:owner/repo`,
+ *   `github:owner/repo`
+ * - a repository URL on github.com, gitlab.com or codeberg.org
+ * - `gitlab:https://host/group/repo` or `gitea:https://host/owner/repo` for
+ *   self-hosted GitLab and Gitea/Forgejo instances
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  DEFAULT_HOST: 'github.com',
+  // projects.yml prefixes, with the provider API they use and their default host
+  PREFIXES: {
+    github: { provider: 'github', host: 'github.com' },
+    gitlab: { provider: 'gitlab', host: 'gitlab.com' },
+    codeberg: { provider: 'gitea', host: 'codeberg.org' },
+    gitea: { provider: 'gitea', host: null }
+  },
+  // Hosts recognized in URLs without a prefix
+  HOSTS: {
+    'github.com': 'github',
+    'gitlab.com': 'gitlab',
+    'codeberg.org': 'gitea'
+  },
+  // GitLab projects can live in nested groups, other paths are "owner/repo"
+  NESTED_PATH_PROVIDERS: ['gitlab']
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse a projects.yml repository string
+ * @param {string} repoString - Repository string, see the module comment for the accepted forms
+ * @returns {{id: string, provider: string, host: string, owner: string, repo: string, path: string}}
+ *   Repository reference: `id` is the string as configured (the project key in every output),
+ *   `owner` is the full namespace for nested GitLab groups
+ * @throws {Error} If the string is invalid or the host unknown
+ */
+function parseRepoString(repoString) {
+  const id = String(repoString).trim();
+  // "https://" is a URL, not a prefix
+  const prefixMatch = id.match(/^([a-z]+):(?!\/\/)(.*)$/);
+  const prefix = prefixMatch ? CONFIG.PREFIXES[prefixMatch[1]] : null;
+  let rest = prefixMatch ? prefixMatch[2] : id;
+
+  if (prefixMatch && !prefix) {
+    throw new Error(`Unknown provider "${prefixMatch[1]}" in "${id}". Expected one of: ${Object.keys(CONFIG.PREFIXES).join(', ')}`);
+  }
+
+  let provider = prefix ? prefix.provider : 'github';
+  let host = prefix ? prefix.host : CONFIG.DEFAULT_HOST;
+  const url = rest.match(/^https?:\/\/([^/]+)\/(.+?)(?:\.git)?\/?$/i);
+
+  if (url) {
+    host = url[1].toLowerCase();
+    rest = url[2];
+    provider = prefix ? prefix.provider : CONFIG.HOSTS[host];
+
+    if (!provider) {
+      throw new Error(`Unknown host "${host}" in "${id}". Prefix self-hosted instances with "gitlab:" or "gitea:"`);
+    }
+  } else if (!host) {
+    throw new Error(`Missing host in "${id}". Expected "${prefixMatch[1]}:https://host/owner/repo"`);
+  }
+
+  if (provider === 'github' && host !== CONFIG.DEFAULT_HOST) {
+    throw new Error(`Unsupported GitHub host "${host}" in "${id}". Only github.com is supported`);
+  }
+
+  const parts = rest.split('/');
+  const nested = CONFIG.NESTED_PATH_PROVIDERS.includes(provider);
+
+  if (parts.length < 2 || (!nested && parts.length !== 2) || parts.some(part => !part)) {
+    throw new Error(`Invalid repo format: "${id}". Expected "owner/repo", "gitlab:group/repo", "codeberg:owner/repo" or a repository URL`);
+  }
+
+  return {
+    id,
+    provider,
+    host,
+    owner: parts.slice(0, -1).join('/'),
+    repo: parts[parts.length - 1],
+    path: rest
+  };
+}
+
+/**
+ * Format a repository reference in its shortest projects.yml form
+ * @param {{provider: string, host: string, path: string}} ref - Repository reference
+ * @returns {string} Repository string, e.g. "owner/repo", "gitlab:group/repo" or "gitea:https://host/owner/repo"
+ */
+function formatRepoString(ref) {
+  if (ref.provider === 'github' && ref.host === CONFIG.DEFAULT_HOST) {
+    return ref.path;
+  }
+
+  const prefix = Object.keys(CONFIG.PREFIXES)
+    .find(name => CONFIG.PREFIXES[name].provider === ref.provider && CONFIG.PREFIXES[name].host === ref.host);
+
+  if (prefix) {
+    return `${prefix}:${ref.path}`;
+  }
+
+  return `${ref.provider}:https://${ref.host}/${ref.path}`;
+}
+
+/**
+ * Get the file name, without extension, used for per-project output files
+ * (release history, feeds). GitHub projects keep "owner__repo", projects on
+ * other hosts go to a directory named after the host.
+ * @param {{host: string, path: string}} ref - Repository reference
+ * @returns {string} Relative file name
+ */
+function getRepoFileName(ref) {
+  const name = ref.path.split('/').join('__');
+  return ref.host === CONFIG.DEFAULT_HOST ? name : `${ref.host}/${name}`;
+}
+
+module.exports = {
+  parseRepoString,
+  formatRepoString,
+  getRepoFileName
+};
@@ -0,0 +1,136 @@
+/**
+ * Release History
+ *
+ * Keeps a per-project history of releases (tag, date, pre-release flag and
+ * changelog) under `output/releases/`. Each run merges the releases returned
+ * by the API into the existing file, so releases that have fallen out of the
+ * API window are never lost.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parseRepoString, getRepoFileName } = require('./providers/repo-string');
+const { getOutputPath } = require('./output-dir');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  HISTORY_DIR: 'releases' // relative to the output directory
+};
+
+// ============================================================================
+// HISTORY FILES
+// ============================================================================
+
+/**
+ * Get the history file path for a repository
+ * @param {string} repoPath - Repository string from projects.yml
+ * @returns {string} Absolute path to the history file
+ */
+function getHistoryPath(repoPath) {
+  // GitHub owners cannot contain underscores, so "__" is an unambiguous separator
+  return getOutputPath(CONFIG.HISTORY_DIR, `${getRepoFileName(parseRepoString(repoPath))}.json`);
+}
+
+/**
+ * Load the stored release history of a repository
+ * @param {string} repoPath - Repository string from projects.yml
+ * @returns {Promise<Array<Object>>} Stored releases, newest first
+ */
+async function loadReleaseHistory(repoPath) {
+  const historyPath = getHistoryPath(repoPath);
+
+  try {
+    if (!(await fs.pathExists(historyPath))) {
+      return [];
+    }
+
+    const history = await fs.readJson(historyPath);
+    return Array.isArray(history.releases) ? history.releases : [];
+  } catch (error) {
+    console.warn(`Ignoring unreadable release history for ${repoPath}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Convert a REST release to a history entry
+ * @param {Object} release - Release information
+ * @returns {Object} History entry
+ */
+function toHistoryEntry(release) {
+  return {
+    tag: release.tag_name,
+    name: release.name || release.tag_name,
+    date: release.published_at,
+    prerelease: Boolean(release.prerelease),
+    url: release.html_url,
+    body: release.body || ''
+  };
+}
+
+/**
+ * Merge freshly fetched releases into the stored history and write it back.
+ * Releases already stored are refreshed (changelogs get edited), releases no
+ * longer returned by the API are kept. The file is only rewritten when its
+ * content changed, to keep the scheduled commits quiet.
+ * @param {string} repoPath - Repository string from projects.yml
+ * @param {Array<Object>} releases - Releases returned by the API
+ * @returns {Promise<Array<Object>>} Merged history, newest first
+ */
+async function updateReleaseHistory(repoPath, releases) {
+  const stored = await loadReleaseHistory(repoPath);
+  const byTag = new Map(stored.map(entry => [entry.tag, entry]));
+
+  for (const release of releases) {
+    if (!release.draft) {
+      byTag.set(release.tag_name, toHistoryEntry(release));
+    }
+  }
+
+  const merged = [...byTag.values()].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  if (merged.length === 0 || JSON.stringify(merged) === JSON.stringify(stored)) {
+    return merged;
+  }
+
+  const historyPath = getHistoryPath(repoPath);
+  await fs.ensureDir(path.dirname(historyPath));
+  await fs.writeJson(historyPath, { project: repoPath, releases: merged }, { spaces: 2 });
+
+  return merged;
+}
+
+/**
+ * Move the history of a renamed or transferred repository to its new path.
+ * An existing history at the new path is left untouched.
+ * @param {string} from - Previous repository string
+ * @param {string} to - New repository string
+ * @returns {Promise<boolean>} True if a history file was moved
+ */
+async function renameReleaseHistory(from, to) {
+  const fromPath = getHistoryPath(from);
+  const toPath = getHistoryPath(to);
+
+  if (!(await fs.pathExists(fromPath)) || (await fs.pathExists(toPath))) {
+    return false;
+  }
+
+  const history = await fs.readJson(fromPath);
+  await fs.writeJson(toPath, { ...history, project: to }, { spaces: 2 });
+  await fs.remove(fromPath);
+
+  return true;
+}
+
+module.exports = {
+  getHistoryPath,
+  loadReleaseHistory,
+  updateReleaseHistory,
+  renameReleaseHistory
+};
@@ -0,0 +1,259 @@
+/**
+ * Repository Status
+ *
+ * Tracks what happened to a repository beyond its releases: archived or
+ * disabled repositories are flagged, renames and transfers (GitHub redirects
+ * the old path) are reported and can be written back to the configuration,
+ * repositories that were deleted or taken down keep their last known
+ * record with the date they became unavailable instead of being dropped, and
+ * so do projects whose fetch failed, flagged as stale.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { normalizeFirmwareKey } = require('./firmware');
+const { renameReleaseHistory } = require('./release-history');
+const { formatRepoString } = require('./providers/repo-string');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  PROJECTS_FILE: path.join(__dirname, '..', 'config', 'projects.yml'),
+  FIRMWARE_FILE: path.join(__dirname, '..', 'config', 'firmware.yml'),
+  UNAVAILABLE_STATUSES: ['taken-down', 'unavailable']
+};
+
+// ============================================================================
+// STATUS DETECTION
+// ============================================================================
+
+/**
+ * Get the status of a repository that could be fetched
+ * @param {Object} repoInfo - Repository information
+ * @returns {string} "disabled", "archived" or "active"
+ */
+function getRepositoryStatus(repoInfo) {
+  if (repoInfo.disabled) {
+    return 'disabled';
+  }
+
+  return repoInfo.archived ? 'archived' : 'active';
+}
+
+/**
+ * Classify a failed repository request. 451 and blocked 403 responses are
+ * takedowns (DMCA, terms of service), a 404 is a deleted or private repository.
+ * @param {{status: number, data: Object|null}} response - Failed API response
+ * @returns {{status: string, reason: string}|null} Unavailability, or null for other errors
+ */
+function classifyUnavailableResponse(response) {
+  const block = response.data && response.data.block;
+
+  if (response.status === 451) {
+    return { status: 'taken-down', reason: (block && block.reason) || 'legal' };
+  }
+
+  if (response.status === 403 && block) {
+    return { status: 'taken-down', reason: block.reason || 'blocked' };
+  }
+
+  if (response.status === 404) {
+    return { status: 'unavailable', reason: 'not-found' };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a repository was renamed or transferred. GitHub, GitLab and
+ * Gitea answer the old path with the repository at its new one.
+ * @param {Object} ref - Configured repository reference
+ * @param {Object} repoInfo - Repository information
+ * @returns {string|null} New repository string (same host), or null if it did not move
+ */
+function findMovedRepository(ref, repoInfo) {
+  const fullName = repoInfo.full_name;
+
+  if (!fullName || normalizeFirmwareKey(fullName) === normalizeFirmwareKey(ref.path)) {
+    return null;
+  }
+
+  return formatRepoString({ ...ref, path: fullName });
+}
+
+/**
+ * Check whether a status means the repository can no longer be fetched
+ * @param {string} status - Repository status
+ * @returns {boolean} True for taken down and unavailable repositories
+ */
+function isUnavailableStatus(status) {
+  return CONFIG.UNAVAILABLE_STATUSES.includes(status);
+}
+
+// ============================================================================
+// LAST KNOWN RECORDS
+// ============================================================================
+
+/**
+ * Replace unavailable repositories by their record from the previous run,
+ * flagged with the status, reason and the date they became unavailable.
+ * Repositories without a previous record are dropped, they have no data.
+ * @param {Array<Object>} results - Processed projects and `{projectUrl, unavailable}` entries
+ * @param {Array<Object>} previousProjects - Projects from the previous output
+ * @param {Date} date - Run date
+ * @returns {Array<Object>} Project data
+ */
+function restoreUnavailableProjects(results, previousProjects, date = new Date()) {
+  const previous = new Map(previousProjects.map(project => [project.projectUrl, project]));
+
+  return results.flatMap(result => {
+    if (!result.unavailable) {
+      return [result];
+    }
+
+    const { status, reason } = result.unavailable;
+    const before = previous.get(result.projectUrl);
+
+    if (!before) {
+      console.warn(`${result.projectUrl} is ${status} (${reason}) and has no previous record`);
+      return [];
+    }
+
+    const since = isUnavailableStatus(before.availability) && before.unavailableSince
+      ? before.unavailableSince
+      : date.toISOString();
+
+    console.warn(`${result.projectUrl} is ${status} (${reason}) since ${since}, keeping its last known record`);
+
+    return [{ ...before, availability: status, unavailableReason: reason, unavailableSince: since, stale: false }];
+  });
+}
+
+/**
+ * Fall back to the record of the previous run for configured projects that
+ * failed to fetch, flagged with `stale: true`. `lastSuccessfulFetch` is kept
+ * from that record.
+ * @param {Array<Object>} projects - Project data of this run
+ * @param {Array<string>} configuredRepos - "owner/repo" strings from projects.yml
+ * @param {Array<Object>} previousProjects - Projects from the previous output
+ * @returns {{projects: Array<Object>, failed: Array<string>}} Project data in projects.yml order and the repositories that failed
+ */
+function restoreFailedProjects(projects, configuredRepos, previousProjects) {
+  const fetched = new Map(projects.map(project => [project.projectUrl, project]));
+  const previous = new Map(previousProjects.map(project => [project.projectUrl, project]));
+  const failed = configuredRepos.filter(repo => !fetched.has(repo));
+
+  // Keep the projects.yml order so a failure does not reshuffle the output
+  const restored = configuredRepos.flatMap(repo => {
+    if (fetched.has(repo)) {
+      return [fetched.get(repo)];
+    }
+
+    const before = previous.get(repo);
+
+    if (!before) {
+      console.warn(`${repo} failed to fetch and has no previous record`);
+      return [];
+    }
+
+    console.warn(`${repo} failed to fetch, keeping its record from ${before.lastSuccessfulFetch || 'the previous run'}`);
+    return [{ ...before, stale: true, lastSuccessfulFetch: before.lastSuccessfulFetch || null }];
+  });
+
+  return { projects: restored, failed };
+}
+
+// ============================================================================
+// MOVED REPOSITORIES
+// ============================================================================
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace a repository path in projects.yml and firmware.yml content. Only
+ * the matching lines are touched, so comments and layout are kept.
+ * @param {string} projectsContent - projects.yml content
+ * @param {string} firmwareContent - firmware.yml content
+ * @param {string} from - Configured repository string
+ * @param {string} to - New repository string
+ * @returns {{projectsContent: string, firmwareContent: string, firmwareKey: boolean}} Rewritten content
+ */
+function rewriteRepositoryPath(projectsContent, firmwareContent, from, to) {
+  const repoLine = new RegExp(`^(\\s*-?\\s*repo:\\s*["']?)${escapeRegExp(from)}(["']?\\s*(#.*)?)$`, 'm');
+  const firmwareKey = new RegExp(`^(\\s*["']?)${escapeRegExp(from)}(["']?\\s*:)`, 'im');
+
+  return {
+    projectsContent: projectsContent.replace(repoLine, `$1${to}$2`),
+    firmwareContent: firmwareContent.replace(firmwareKey, `$1${to}$2`),
+    firmwareKey: firmwareKey.test(firmwareContent)
+  };
+}
+
+/**
+ * Follow renamed and transferred repositories: rewrite projects.yml and the
+ * firmware.yml key, move the release history, and update the project data
+ * and configuration in place (`projectUrl` becomes the new path and
+ * `movedFrom` keeps the old one).
+ * @param {Array<Object>} projects - Processed project data
+ * @param {Array<Object>} projectConfigs - Project entries from projects.yml
+ * @returns {Promise<number>} Number of repositories rewritten
+ */
+async function applyRepositoryMoves(projects, projectConfigs) {
+  const moved = projects.filter(project => project.movedTo);
+
+  if (moved.length === 0) {
+    return 0;
+  }
+
+  let projectsContent = await fs.readFile(CONFIG.PROJECTS_FILE, 'utf8');
+  let firmwareContent = await fs.readFile(CONFIG.FIRMWARE_FILE, 'utf8');
+
+  for (const project of moved) {
+    const from = project.projectUrl;
+    const to = project.movedTo;
+    const rewritten = rewriteRepositoryPath(projectsContent, firmwareContent, from, to);
+
+    projectsContent = rewritten.projectsContent;
+    firmwareContent = rewritten.firmwareContent;
+
+    if (!rewritten.firmwareKey && project.firmwareSource === 'config') {
+      console.warn(`Firmware requirement for ${from} uses a legacy key, run "npm run migrate-firmware" and update it to ${to}`);
+    }
+
+    if (await renameReleaseHistory(from, to)) {
+      console.log(`Moved release history of ${from} to ${to}`);
+    }
+
+    projectConfigs.filter(config => config.repo === from).forEach(config => { config.repo = to; });
+    Object.assign(project, { projectUrl: to, movedFrom: from, movedTo: null });
+    console.log(`Rewrote ${from} -> ${to}`);
+  }
+
+  await fs.writeFile(CONFIG.PROJECTS_FILE, projectsContent);
+  await fs.writeFile(CONFIG.FIRMWARE_FILE, firmwareContent);
+
+  return moved.length;
+}
+
+module.exports = {
+  getRepositoryStatus,
+  classifyUnavailableResponse,
+  findMovedRepository,
+  isUnavailableStatus,
+  restoreUnavailableProjects,
+  restoreFailedProjects,
+  rewriteRepositoryPath,
+  applyRepositoryMoves
+};
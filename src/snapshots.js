@@ -0,0 +1,169 @@
+/**
+ * Historical Snapshots
+ *
+ * Appends a compact dated snapshot of every project (stars, forks, latest
+ * version, required firmware) to `output/history/snapshots.json` on each run
+ * and compacts older snapshots: one per hour is kept for a week, one per day
+ * for a year. A column-oriented time-series export is written next to it for
+ * the webapp.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { getOutputPath } = require('./output-dir');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  SNAPSHOTS_FILE: path.join('history', 'snapshots.json'), // relative to the output directory
+  TIMESERIES_FILE: 'timeseries.json',
+  HOURLY_RETENTION_DAYS: 7,
+  DAILY_RETENTION_DAYS: 365
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// SNAPSHOT STORE
+// ============================================================================
+
+/**
+ * Load stored snapshots
+ * @returns {Promise<Array<Object>>} Snapshots, oldest first
+ */
+async function loadSnapshots() {
+  const snapshotsPath = getOutputPath(CONFIG.SNAPSHOTS_FILE);
+
+  try {
+    if (!(await fs.pathExists(snapshotsPath))) {
+      return [];
+    }
+
+    const store = await fs.readJson(snapshotsPath);
+    return Array.isArray(store.snapshots) ? store.snapshots : [];
+  } catch (error) {
+    console.warn('Ignoring unreadable snapshot history:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Build a snapshot of the current run
+ * @param {Array<Object>} projects - Processed project data
+ * @param {Date} date - Snapshot date
+ * @returns {Object} Snapshot keyed by "owner/repo"
+ */
+function createSnapshot(projects, date) {
+  const snapshot = { date: date.toISOString(), projects: {} };
+
+  for (const project of projects) {
+    snapshot.projects[project.projectUrl] = {
+      stars: project.stars,
+      forks: project.forks,
+      version: project.latestVersion,
+      firmware: project.requiredFirmware,
+      supportedUpTo: project.supportedUpTo ?? null
+    };
+  }
+
+  return snapshot;
+}
+
+/**
+ * Apply the retention policy: hourly snapshots for the last week, daily
+ * snapshots for the last year, nothing older. Within a bucket the most
+ * recent snapshot wins.
+ * @param {Array<Object>} snapshots - Snapshots, oldest first
+ * @param {Date} now - Reference date
+ * @returns {Array<Object>} Compacted snapshots, oldest first
+ */
+function compactSnapshots(snapshots, now) {
+  const buckets = new Map();
+  const sorted = [...snapshots].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  for (const snapshot of sorted) {
+    const age = now - new Date(snapshot.date);
+    let bucket;
+
+    if (age <= CONFIG.HOURLY_RETENTION_DAYS * DAY_MS) {
+      bucket = `hour:${snapshot.date.slice(0, 13)}`;
+    } else if (age <= CONFIG.DAILY_RETENTION_DAYS * DAY_MS) {
+      bucket = `day:${snapshot.date.slice(0, 10)}`;
+    } else {
+      continue;
+    }
+
+    // Re-insert so the map stays in chronological order of the kept snapshot
+    buckets.delete(bucket);
+    buckets.set(bucket, snapshot);
+  }
+
+  return [...buckets.values()];
+}
+
+// ============================================================================
+// TIME-SERIES EXPORT
+// ============================================================================
+
+/**
+ * Convert snapshots to a column-oriented time series. Every series has one
+ * value per date, null where the project was not tracked at that time.
+ * @param {Array<Object>} snapshots - Snapshots, oldest first
+ * @returns {Object} Time-series export
+ */
+function buildTimeSeries(snapshots) {
+  const dates = snapshots.map(snapshot => snapshot.date);
+  const projects = {};
+
+  snapshots.forEach((snapshot, index) => {
+    for (const [repo, values] of Object.entries(snapshot.projects)) {
+      if (!projects[repo]) {
+        projects[repo] = {
+          stars: new Array(dates.length).fill(null),
+          forks: new Array(dates.length).fill(null),
+          versions: new Array(dates.length).fill(null),
+          firmware: new Array(dates.length).fill(null),
+          supportedUpTo: new Array(dates.length).fill(null)
+        };
+      }
+
+      projects[repo].stars[index] = values.stars;
+      projects[repo].forks[index] = values.forks;
+      projects[repo].versions[index] = values.version;
+      projects[repo].firmware[index] = values.firmware;
+      projects[repo].supportedUpTo[index] = values.supportedUpTo ?? null;
+    }
+  });
+
+  return { dates, projects };
+}
+
+/**
+ * Record a snapshot of the current run, compact the history and export the time series
+ * @param {Array<Object>} projects - Processed project data
+ * @param {Date} now - Run date
+ * @returns {Promise<{snapshots: number, timeseriesPath: string}>} Number of stored snapshots and export path
+ */
+async function recordSnapshot(projects, now = new Date()) {
+  const snapshots = compactSnapshots([...(await loadSnapshots()), createSnapshot(projects, now)], now);
+
+  const snapshotsPath = getOutputPath(CONFIG.SNAPSHOTS_FILE);
+  const timeseriesPath = getOutputPath(CONFIG.TIMESERIES_FILE);
+
+  await fs.ensureDir(path.dirname(snapshotsPath));
+  await fs.writeJson(snapshotsPath, { snapshots });
+  await fs.writeJson(timeseriesPath, buildTimeSeries(snapshots));
+
+  return { snapshots: snapshots.length, timeseriesPath };
+}
+
+module.exports = {
+  recordSnapshot,
+  compactSnapshots,
+  buildTimeSeries
+};
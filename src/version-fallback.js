@@ -0,0 +1,168 @@
+/**
+ * Version Fallback
+ *
+ * Many homebrew projects never publish releases and only push tags, or not
+ * even that. For them the tracker reports the newest tag that reads as a
+ * version number ("v1.2.3", "1.2", "release-2.0.1"), and without one the
+ * latest commit of the default branch. `version_source` in projects.yml picks
+ * where the version comes from:
+ *
+ * - `auto` (default): releases, then tags, then the latest commit
+ * - `release`: releases only
+ * - `tag`: the newest version tag, even when the project has releases
+ * - `commit`: the latest commit
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { fetchTags, fetchCommit } = require('./providers');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  SHORT_SHA_LENGTH: 7,
+  // Optional "release-"/"v" prefix, dotted numbers, optional suffix ("-beta1")
+  VERSION_TAG: /^(?:[a-z]+[-_])?v?(\d+(?:\.\d+)*)([-+._]?[0-9a-z][0-9a-z.+_-]*)?$/i
+};
+
+// ============================================================================
+// TAG VERSIONS
+// ============================================================================
+
+/**
+ * Parse a tag name as a version
+ * @param {string} name - Tag name
+ * @returns {{numbers: Array<number>, prerelease: boolean}|null} Version parts, or null
+ *   for tags that are not versions ("latest", "nightly")
+ */
+function parseTagVersion(name) {
+  const match = String(name).match(CONFIG.VERSION_TAG);
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    numbers: match[1].split('.').map(Number),
+    // Build metadata ("+build.5") does not make a version a pre-release
+    prerelease: Boolean(match[2]) && !match[2].startsWith('+')
+  };
+}
+
+/**
+ * Compare two parsed tag versions, missing numbers counting as zero
+ * @param {{numbers: Array<number>}} a - First version
+ * @param {{numbers: Array<number>}} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareTagVersions(a, b) {
+  const length = Math.max(a.numbers.length, b.numbers.length);
+
+  for (let i = 0; i < length; i++) {
+    const difference = (a.numbers[i] || 0) - (b.numbers[i] || 0);
+
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Find the newest version tag, preferring stable versions over pre-releases
+ * @param {Array<{name: string}>} tags - Tags in any order
+ * @returns {Object|null} Newest tag, or null when no tag reads as a version
+ */
+function findNewestTag(tags) {
+  const versions = tags
+    .map(tag => ({ tag, version: parseTagVersion(tag.name) }))
+    .filter(entry => entry.version);
+  const stable = versions.filter(entry => !entry.version.prerelease);
+  const candidates = stable.length ? stable : versions;
+
+  // Stable sort: on equal versions the API order (newest first) decides
+  candidates.sort((a, b) => compareTagVersions(b.version, a.version));
+
+  return candidates.length ? candidates[0].tag : null;
+}
+
+// ============================================================================
+// FALLBACK
+// ============================================================================
+
+/**
+ * Summarize a commit for the output
+ * @param {Object} commit - Commit in the GitHub REST shape
+ * @returns {{sha: string, message: string, date: string|null, url: string|null}} Commit summary
+ */
+function summarizeCommit(commit) {
+  return {
+    sha: commit.sha,
+    message: (commit.commit.message || '').split('\n')[0].trim(),
+    date: commit.commit.committer ? commit.commit.committer.date : null,
+    url: commit.html_url || null
+  };
+}
+
+/**
+ * Find the version of a project from its tags or latest commit
+ * @param {Object} ref - Repository reference from parseRepoString()
+ * @param {string} versionSource - "auto", "release", "tag" or "commit"
+ * @param {boolean} hasRelease - Whether a release was found for the tracked channel. Must come
+ *   from a successful answer (a release, an empty list or "not found"): release fetch errors
+ *   fail the project instead of falling back to a tag or commit
+ * @returns {Promise<Object|null>} `{source, version, url, date, commit}`, where `source` is
+ *   "tag" or "commit" and `commit` the latest commit summary (commit source only), or null
+ *   when the release stands or nothing was found
+ */
+async function findVersionFallback(ref, versionSource, hasRelease) {
+  if (versionSource === 'release' || (versionSource === 'auto' && hasRelease)) {
+    return null;
+  }
+
+  if (versionSource !== 'commit') {
+    const tag = findNewestTag(await fetchTags(ref));
+
+    if (tag) {
+      const commit = await fetchCommit(ref, tag.commit.sha);
+
+      return {
+        source: 'tag',
+        version: tag.name,
+        url: tag.html_url,
+        date: commit ? summarizeCommit(commit).date : null,
+        commit: null
+      };
+    }
+
+    if (versionSource === 'tag') {
+      return null;
+    }
+  }
+
+  const commit = await fetchCommit(ref);
+
+  if (!commit) {
+    return null;
+  }
+
+  const summary = summarizeCommit(commit);
+
+  return {
+    source: 'commit',
+    version: commit.sha.slice(0, CONFIG.SHORT_SHA_LENGTH),
+    url: summary.url,
+    date: summary.date,
+    commit: summary
+  };
+}
+
+module.exports = {
+  parseTagVersion,
+  findNewestTag,
+  findVersionFallback
+};
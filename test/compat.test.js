@@ -0,0 +1,89 @@
+/**
+ * Compatibility Check Tests
+ *
+ * Runs the compat classification on a fixed firmware.yml and projects.json
+ * (`test/fixtures/compat/`). A plain firmware.yml version is the newest
+ * firmware a project works on, so the project must be compatible with it and
+ * with older firmware, and only newer firmware may be rejected.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { checkCompatibility } = require('../scripts/compat');
+const { indexFirmwareRequirements } = require('../src/firmware');
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const CONFIG = {
+  FIXTURE_DIR: path.join(__dirname, 'fixtures', 'compat')
+};
+
+const config = YAML.parse(fs.readFileSync(path.join(CONFIG.FIXTURE_DIR, 'firmware.yml'), 'utf8'));
+const { projects } = fs.readJsonSync(path.join(CONFIG.FIXTURE_DIR, 'projects.json'));
+const invalidKeys = [];
+const requirements = indexFirmwareRequirements(config.firmware_requirements, key => invalidKeys.push(key));
+
+/**
+ * Classify the fixture projects
+ * @param {string} firmware - Console firmware version
+ * @returns {Object} Status and reason by project
+ */
+function classify(firmware) {
+  return Object.fromEntries(checkCompatibility(projects, requirements, firmware)
+    .map(result => [result.project, `${result.status}: ${result.reason}`]));
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+describe('checkCompatibility', () => {
+  it('classifies every form of firmware.yml entry', () => {
+    assert.deepStrictEqual(classify('18.1.0'), {
+      'Atmosphere-NX/Atmosphere': 'compatible: meets requirement',
+      'CTCaer/hekate': 'compatible: meets requirement',
+      'suchmememanyskill/TegraExplorer': 'incompatible: supports up to 17.0.0',
+      'owner/minimum': 'incompatible: requires 19.0.0 or newer',
+      'owner/ranged': 'incompatible: outside supported range >=17.0.0 <18.0.0 || ^19.0.0',
+      'someone/legacy-name': 'compatible: meets requirement',
+      'owner/invalid': 'unknown: no firmware information',
+      'owner/detected': 'compatible: meets requirement',
+      'owner/old-detected': 'incompatible: supports up to 18.0.0',
+      'owner/default': 'unknown: no firmware information'
+    });
+  });
+
+  it('rejects known broken versions inside a range', () => {
+    const results = classify('19.0.1');
+
+    assert.strictEqual(results['owner/ranged'], 'incompatible: known broken on 19.0.1');
+    assert.strictEqual(classify('19.1.0')['owner/ranged'], 'compatible: meets requirement');
+  });
+
+  it('ignores invalid entries', () => {
+    assert.deepStrictEqual(invalidKeys, ['owner/invalid']);
+  });
+
+  it('keeps plain entries compatible with the firmware they are listed with, and older', () => {
+    for (const [key, entry] of Object.entries(config.firmware_requirements)) {
+      if (typeof entry !== 'string') {
+        continue;
+      }
+
+      const project = projects.find(candidate => candidate.projectUrl.toLowerCase().endsWith(key.toLowerCase()));
+
+      for (const firmware of [entry, '10.0.0']) {
+        const [result] = checkCompatibility([project], requirements, firmware);
+        assert.strictEqual(result.status, 'compatible', `${key} should run on ${firmware}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Configuration Validation Tests
+ *
+ * Issues reported for projects.yml and firmware.yml content, with the
+ * position of the offending YAML node.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { validateProjectsConfig, validateFirmwareConfig, formatIssue } = require('../src/config-validation');
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const CATALOG = [
+  { version: '20.2.0', released: '2025-07-08' },
+  { version: '19.0.0', released: '2024-10-08' }
+];
+
+/**
+ * Join YAML lines
+ * @param {...string} lines - Lines of the document
+ * @returns {string} YAML content
+ */
+function yaml(...lines) {
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Summarize issues as "line:column severity message" for comparisons
+ * @param {Array<Object>} issues - Validation issues
+ * @returns {Array<string>} Summaries
+ */
+function summarize(issues) {
+  return issues.map(issue => `${issue.line}:${issue.column} ${issue.severity} ${issue.message}`);
+}
+
+// ============================================================================
+// PROJECTS
+// ============================================================================
+
+describe('validateProjectsConfig', () => {
+  it('accepts a valid configuration', () => {
+    const { data, issues } = validateProjectsConfig(yaml(
+      'settings:',
+      '  fetch_mode: rest',
+      'projects:',
+      '  - repo: "owner/repo"',
+      '    channel: both',
+      '  - repo: "gitlab:group/sub/project"'
+    ));
+
+    assert.deepStrictEqual(issues, []);
+    assert.strictEqual(data.projects.length, 2);
+  });
+
+  it('reports schema errors at the offending node', () => {
+    const { data, issues } = validateProjectsConfig(yaml(
+      'projects:',
+      '  - repo: "owner/repo"',
+      '  - repo: "not a repo"',
+      '    chanel: both'
+    ));
+
+    assert.strictEqual(data, null);
+    assert.deepStrictEqual(summarize(issues), [
+      '4:5 error projects[1] has unknown field "chanel"',
+      '3:11 error projects[1].repo must be "owner/repo", "gitlab:group/repo", "codeberg:owner/repo" or a repository URL'
+    ]);
+  });
+
+  it('reports the same repository written twice', () => {
+    const { issues } = validateProjectsConfig(yaml(
+      'projects:',
+      '  - repo: "Owner/Repo"',
+      '  - repo: "https://github.com/owner/repo"'
+    ));
+
+    assert.deepStrictEqual(summarize(issues), [
+      '3:11 error Duplicate project https://github.com/owner/repo (first listed at line 2)'
+    ]);
+  });
+
+  it('reports unknown hosts', () => {
+    const { issues } = validateProjectsConfig(yaml('projects:', '  - repo: "https://git.example.org/owner/repo"'));
+
+    assert.match(issues[0].message, /Unknown host "git.example.org"/);
+  });
+
+  it('reports YAML syntax errors', () => {
+    const { data, issues } = validateProjectsConfig(yaml('projects:', '  - repo: [', ''));
+
+    assert.strictEqual(data, null);
+    assert.strictEqual(issues.length, 1);
+    assert.strictEqual(issues[0].severity, 'error');
+  });
+});
+
+// ============================================================================
+// FIRMWARE
+// ============================================================================
+
+describe('validateFirmwareConfig', () => {
+  const content = yaml(
+    'firmware_requirements:',
+    '  owner/repo: "20.2.0"',
+    '  Owner/Repo: "19.0.0"',
+    '  other/repo:',
+    '    range: ">=x"',
+    '  new/repo: "99.0.0"',
+    '  legacy: "20.2.0"',
+    '  gone/repo: "20.2.0"',
+    'default_firmware: "1.2.3"'
+  );
+
+  it('checks entries against the catalog and the tracked projects', () => {
+    const { data, issues } = validateFirmwareConfig(content, 'config/firmware.yml', {
+      catalog: CATALOG,
+      repos: ['owner/repo', 'other/repo', 'new/repo', 'someone/legacy']
+    });
+
+    assert.strictEqual(data, null);
+    assert.deepStrictEqual(summarize(issues), [
+      '9:19 error default_firmware 1.2.3 is not in the firmware catalog',
+      '3:3 error Owner/Repo: duplicates owner/repo (keys are case-insensitive)',
+      '4:3 error other/repo: Invalid firmware range token: ">=x"',
+      '6:3 error new/repo: unknown firmware version(s) 99.0.0',
+      '7:3 warning legacy: legacy name-only key, run "npm run migrate-firmware"',
+      '8:3 warning gone/repo: matches no tracked project'
+    ]);
+  });
+
+  it('skips the cross-file checks without catalog and project list', () => {
+    const { issues } = validateFirmwareConfig(content);
+
+    assert.deepStrictEqual(issues.map(issue => issue.message), [
+      'Owner/Repo: duplicates owner/repo (keys are case-insensitive)',
+      'other/repo: Invalid firmware range token: ">=x"'
+    ]);
+  });
+
+  it('keeps the data when there are only warnings', () => {
+    const { data, issues } = validateFirmwareConfig(yaml('firmware_requirements:', '  gone/repo: "20.2.0"'), 'config/firmware.yml', {
+      catalog: CATALOG,
+      repos: []
+    });
+
+    assert.strictEqual(issues.length, 1);
+    assert.deepStrictEqual(data.firmware_requirements, { 'gone/repo': '20.2.0' });
+  });
+});
+
+describe('formatIssue', () => {
+  it('formats issues like compiler diagnostics', () => {
+    const issue = { file: 'config/firmware.yml', line: 3, column: 5, severity: 'warning', message: 'x: matches no tracked project' };
+    assert.strictEqual(formatIssue(issue), 'config/firmware.yml:3:5: warning: x: matches no tracked project');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Firmware Catalog Tests
+ *
+ * Detection of a firmware newer than the catalog from the latest
+ * THZoria/NX_Firmware release. Provider calls are answered from fixed data.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('assert');
+const providers = require('../src/providers');
+
+// firmware-catalog binds the provider functions when loaded
+const fetchLatestRelease = mock.method(providers, 'fetchLatestRelease', async () => null);
+const { fetchNewerFirmware } = require('../src/firmware-catalog');
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const CATALOG = [
+  { version: '20.2.0', released: '2025-07-08' },
+  { version: '19.0.0', released: '2024-10-08' }
+];
+
+/**
+ * Build a release of the firmware source
+ * @param {string} tag - Release tag
+ * @returns {Object} GitHub REST shaped release
+ */
+function release(tag) {
+  return { tag_name: tag, published_at: '2025-08-27T18:02:11Z' };
+}
+
+// ============================================================================
+// NEWER FIRMWARE
+// ============================================================================
+
+describe('fetchNewerFirmware', () => {
+  beforeEach(() => {
+    fetchLatestRelease.mock.resetCalls();
+  });
+
+  it('returns a firmware newer than the catalog, dated by its release', async () => {
+    fetchLatestRelease.mock.mockImplementation(async () => release('v20.3.0'));
+
+    assert.deepStrictEqual(await fetchNewerFirmware(CATALOG), { version: '20.3.0', released: '2025-08-27' });
+    assert.strictEqual(fetchLatestRelease.mock.calls[0].arguments[0].path, 'THZoria/NX_Firmware');
+  });
+
+  it('ignores firmware already in the catalog and tags that are not versions', async () => {
+    for (const tag of ['20.2.0', 'v19.0.1', 'latest', '20.3.0-beta']) {
+      fetchLatestRelease.mock.mockImplementation(async () => release(tag));
+      assert.strictEqual(await fetchNewerFirmware(CATALOG), null, tag);
+    }
+  });
+
+  it('returns null without a release', async () => {
+    fetchLatestRelease.mock.mockImplementation(async () => null);
+    assert.strictEqual(await fetchNewerFirmware(CATALOG), null);
+  });
+
+  it('lets provider errors through', async () => {
+    fetchLatestRelease.mock.mockImplementation(async () => {
+      throw new Error('GitHub API error: 502 Bad Gateway');
+    });
+
+    await assert.rejects(fetchNewerFirmware(CATALOG), /502/);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Firmware Watch Tests
+ *
+ * Classification of projects against the newest firmware and the summary
+ * shown by the webapp banner.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { buildFirmwareWatch } = require('../src/firmware-watch');
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const FIRMWARE = { version: '20.2.0', released: '2025-07-08' };
+
+const PROJECTS = [
+  { projectUrl: 'owner/updated', name: 'updated', latestReleaseDate: '2025-07-20T00:00:00Z' },
+  {
+    projectUrl: 'owner/declared',
+    name: 'declared',
+    latestReleaseDate: '2025-01-01T00:00:00Z',
+    firmware: { min: null, max: '20.2.0', range: null, broken: [], source: 'config' }
+  },
+  {
+    projectUrl: 'owner/broken',
+    name: 'broken',
+    latestReleaseDate: '2025-01-01T00:00:00Z',
+    firmware: { min: '18.0.0', max: null, range: null, broken: ['20.2.0'], source: 'config' }
+  },
+  { projectUrl: 'owner/stale', name: 'stale', latestReleaseDate: '2025-01-01T00:00:00Z' },
+  { projectUrl: 'owner/hidden', name: 'hidden', latestReleaseDate: '2025-01-01T00:00:00Z', hidden: true }
+];
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+describe('buildFirmwareWatch', () => {
+  const watch = buildFirmwareWatch(PROJECTS, FIRMWARE, new Date('2025-08-01T00:00:00Z'));
+
+  it('classifies every listed project', () => {
+    assert.deepStrictEqual(watch.projects.map(entry => [entry.project, entry.status]), [
+      ['owner/updated', 'released-after'],
+      ['owner/declared', 'declares-support'],
+      ['owner/broken', 'not-updated'],
+      ['owner/stale', 'not-updated']
+    ]);
+  });
+
+  it('leaves hidden projects out of the entries and the summary', () => {
+    assert.deepStrictEqual(watch.summary, { 'released-after': 1, 'declares-support': 1, 'not-updated': 2 });
+  });
+
+  it('is active for 60 days after the firmware release', () => {
+    assert.strictEqual(watch.active, true);
+    assert.strictEqual(buildFirmwareWatch(PROJECTS, FIRMWARE, new Date('2025-09-07T00:00:00Z')).active, false);
+  });
+
+  it('needs a firmware catalog', () => {
+    assert.strictEqual(buildFirmwareWatch(PROJECTS, null), null);
+  });
+});
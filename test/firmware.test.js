@@ -0,0 +1,215 @@
+/**
+ * Firmware Utilities Tests
+ *
+ * Version comparison, range parsing, firmware.yml entries and detection of
+ * firmware statements in release notes and READMEs.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const {
+  compareFirmwareVersions,
+  parseFirmwareRange,
+  satisfiesFirmwareRange,
+  normalizeFirmwareRequirement,
+  checkFirmwareRequirement,
+  formatFirmwareSpan,
+  indexFirmwareRequirements,
+  findFirmwareRequirement,
+  findFirmwareMentions,
+  detectFirmware,
+  getDetectedRequirement
+} = require('../src/firmware');
+
+// ============================================================================
+// VERSIONS AND RANGES
+// ============================================================================
+
+describe('compareFirmwareVersions', () => {
+  it('compares numerically, part by part', () => {
+    assert.ok(compareFirmwareVersions('10.0.0', '9.2.0') > 0);
+    assert.ok(compareFirmwareVersions('19.0.1', '19.1.0') < 0);
+    assert.strictEqual(compareFirmwareVersions('20.2.0', '20.2.0'), 0);
+  });
+
+  it('treats missing parts as zero', () => {
+    assert.strictEqual(compareFirmwareVersions('19', '19.0.0'), 0);
+  });
+
+  it('rejects invalid versions', () => {
+    assert.throws(() => compareFirmwareVersions('19.x', '19.0.0'), /Cannot compare/);
+  });
+});
+
+describe('parseFirmwareRange', () => {
+  it('expands caret, tilde and x-ranges', () => {
+    assert.deepStrictEqual(parseFirmwareRange('^19.0.0'), [[
+      { operator: '>=', version: '19.0.0' },
+      { operator: '<', version: '20.0.0' }
+    ]]);
+    assert.deepStrictEqual(parseFirmwareRange('~19.1.0'), [[
+      { operator: '>=', version: '19.1.0' },
+      { operator: '<', version: '19.2.0' }
+    ]]);
+    assert.deepStrictEqual(parseFirmwareRange('18.x'), [[
+      { operator: '>=', version: '18.0.0' },
+      { operator: '<', version: '19.0.0' }
+    ]]);
+  });
+
+  it('parses hyphen ranges, spaced operators and alternatives', () => {
+    assert.deepStrictEqual(parseFirmwareRange('10.0.0 - 19.0.1'), [[
+      { operator: '>=', version: '10.0.0' },
+      { operator: '<=', version: '19.0.1' }
+    ]]);
+    assert.deepStrictEqual(parseFirmwareRange('>= 17.0.0 <18.0.0 || 19.0.1'), [
+      [{ operator: '>=', version: '17.0.0' }, { operator: '<', version: '18.0.0' }],
+      [{ operator: '=', version: '19.0.1' }]
+    ]);
+  });
+
+  it('accepts a bare wildcard as any firmware', () => {
+    assert.deepStrictEqual(parseFirmwareRange('*'), [[]]);
+  });
+
+  it('rejects invalid tokens and operators on a wildcard major', () => {
+    for (const range of ['>=x', '^x', '~*', '<*', 'latest', '19.0.0 ||', '>=19.0.0.1']) {
+      assert.throws(() => parseFirmwareRange(range), /Invalid firmware range/, range);
+    }
+  });
+});
+
+describe('satisfiesFirmwareRange', () => {
+  it('requires every comparator of one alternative', () => {
+    assert.strictEqual(satisfiesFirmwareRange('17.5.0', '>=17.0.0 <18.0.0 || 19.0.1'), true);
+    assert.strictEqual(satisfiesFirmwareRange('19.0.1', '>=17.0.0 <18.0.0 || 19.0.1'), true);
+    assert.strictEqual(satisfiesFirmwareRange('18.0.0', '>=17.0.0 <18.0.0 || 19.0.1'), false);
+  });
+});
+
+// ============================================================================
+// REQUIREMENTS
+// ============================================================================
+
+describe('normalizeFirmwareRequirement', () => {
+  it('reads a plain string as the newest supported firmware', () => {
+    assert.deepStrictEqual(normalizeFirmwareRequirement('20.2.0'), { min: null, max: '20.2.0', range: null, broken: [] });
+  });
+
+  it('takes the minimum of a range when min is not given', () => {
+    assert.deepStrictEqual(normalizeFirmwareRequirement({ range: '^18.0.0 || >=19.1.0', broken: ['19.1.0'] }), {
+      min: '18.0.0',
+      max: null,
+      range: '^18.0.0 || >=19.1.0',
+      broken: ['19.1.0']
+    });
+  });
+
+  it('rejects unknown fields, bad versions and inverted bounds', () => {
+    assert.throws(() => normalizeFirmwareRequirement({ minimum: '18.0.0' }), /Unknown firmware requirement field/);
+    assert.throws(() => normalizeFirmwareRequirement('20.2'), /Expected format/);
+    assert.throws(() => normalizeFirmwareRequirement({ min: '20.0.0', max: '19.0.0' }), /higher than maximum/);
+    assert.throws(() => normalizeFirmwareRequirement({ range: '^x' }), /Invalid firmware range token/);
+  });
+});
+
+describe('checkFirmwareRequirement', () => {
+  const requirement = normalizeFirmwareRequirement({ min: '17.0.0', max: '20.1.0', broken: ['19.0.0'] });
+
+  it('explains why a firmware is rejected', () => {
+    assert.deepStrictEqual(checkFirmwareRequirement(requirement, '16.1.0'), { compatible: false, reason: 'requires 17.0.0 or newer' });
+    assert.deepStrictEqual(checkFirmwareRequirement(requirement, '20.2.0'), { compatible: false, reason: 'supports up to 20.1.0' });
+    assert.deepStrictEqual(checkFirmwareRequirement(requirement, '19.0.0'), { compatible: false, reason: 'known broken on 19.0.0' });
+  });
+
+  it('accepts firmware within the bounds', () => {
+    assert.strictEqual(checkFirmwareRequirement(requirement, '20.1.0').compatible, true);
+  });
+});
+
+describe('formatFirmwareSpan', () => {
+  it('describes minimum, maximum or both', () => {
+    assert.strictEqual(formatFirmwareSpan({ requiredFirmware: '18.0.0', supportedUpTo: '20.2.0' }), '18.0.0 to 20.2.0');
+    assert.strictEqual(formatFirmwareSpan({ requiredFirmware: '18.0.0' }), '18.0.0+');
+    assert.strictEqual(formatFirmwareSpan({ requiredFirmware: null, supportedUpTo: '20.2.0' }), 'up to 20.2.0');
+    assert.strictEqual(formatFirmwareSpan({ requiredFirmware: null, supportedUpTo: null }), 'unknown');
+  });
+});
+
+describe('findFirmwareRequirement', () => {
+  const errors = [];
+  const requirements = indexFirmwareRequirements({
+    'Owner/Project': '20.2.0',
+    legacy: '19.0.0',
+    'owner/project': '18.0.0',
+    'owner/broken': { range: '>=x' }
+  }, key => errors.push(key));
+
+  it('matches keys case-insensitively and falls back to legacy name-only keys', () => {
+    assert.strictEqual(findFirmwareRequirement(requirements, 'OWNER/project').max, '20.2.0');
+    assert.strictEqual(findFirmwareRequirement(requirements, 'someone/Legacy').max, '19.0.0');
+    assert.strictEqual(findFirmwareRequirement(requirements, 'someone/else'), undefined);
+  });
+
+  it('reports duplicate and invalid entries', () => {
+    assert.deepStrictEqual(errors, ['owner/project', 'owner/broken']);
+  });
+});
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+describe('findFirmwareMentions', () => {
+  it('finds the statements the tracker recognizes', () => {
+    const text = 'Supports HOS 19.0.0+. Compatible with 20.1.0, 18.x compatible, FW 17.0.1 fixed.';
+    const versions = new Set(findFirmwareMentions(text).map(mention => mention.version));
+    assert.deepStrictEqual([...versions].sort(), ['17.0.1', '18.0.0', '19.0.0', '20.1.0']);
+  });
+
+  it('ignores app versions and versions outside the firmware majors', () => {
+    assert.deepStrictEqual(findFirmwareMentions('Release 1.2.3, built with devkitPro 45.0'), []);
+    assert.deepStrictEqual(findFirmwareMentions('supports 99.0.0'), []);
+  });
+});
+
+describe('detectFirmware', () => {
+  it('trusts an explicit version in the latest release notes', () => {
+    const detected = detectFirmware({
+      releases: [
+        { tag_name: 'v2.0.0', html_url: 'https://example.com/v2', body: 'Adds support for 20.1.0 and firmware 19.0.0' },
+        { tag_name: 'v1.0.0', html_url: 'https://example.com/v1', body: 'Supports 20.2.0' }
+      ],
+      readme: 'Works on firmware 20.2.0'
+    });
+
+    assert.strictEqual(detected.version, '20.1.0');
+    assert.strictEqual(detected.confidence, 'high');
+    assert.deepStrictEqual(detected.source, { type: 'release', tag: 'v2.0.0', url: 'https://example.com/v2' });
+  });
+
+  it('lowers the confidence of older releases, wildcards and the README', () => {
+    const older = detectFirmware({ releases: [{ body: 'Bug fixes' }, { tag_name: 'v1', body: 'FW 19.0.1' }] });
+    const wildcard = detectFirmware({ releases: [{ body: 'Now 18.x compatible' }] });
+    const readme = detectFirmware({ releases: [], readme: 'Tested up to 20.0.0' });
+
+    assert.strictEqual(older.confidence, 'medium');
+    assert.strictEqual(wildcard.confidence, 'medium');
+    assert.strictEqual(readme.confidence, 'low');
+  });
+
+  it('skips drafts and returns null without any statement', () => {
+    assert.strictEqual(detectFirmware({ releases: [{ draft: true, body: 'supports 20.0.0' }] }), null);
+    assert.strictEqual(detectFirmware({}), null);
+  });
+});
+
+describe('getDetectedRequirement', () => {
+  it('bounds the requirement above by the detected version', () => {
+    assert.strictEqual(getDetectedRequirement({ version: '19.0.1', wildcard: false }).max, '19.0.1');
+    assert.strictEqual(getDetectedRequirement({ version: '18.0.0', wildcard: true }).range, '<19.0.0');
+  });
+});
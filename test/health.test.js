@@ -0,0 +1,71 @@
+/**
+ * Project Health Tests
+ *
+ * Signals of the health score, on fixed dates.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { computeHealth, getReleaseCadence } = require('../src/health');
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const NOW = new Date('2026-06-01T00:00:00Z');
+
+const PROJECT = {
+  projectUrl: 'owner/repo',
+  versionSource: 'release',
+  latestReleaseDate: '2026-05-01T00:00:00Z',
+  latestPrereleaseDate: null,
+  pushedAt: '2026-05-25T00:00:00Z',
+  openIssues: 5,
+  availability: 'available'
+};
+
+// ============================================================================
+// SCORE
+// ============================================================================
+
+describe('computeHealth', () => {
+  it('gives full points to a recently released and pushed project', () => {
+    const { breakdown } = computeHealth(PROJECT, [], null, NOW);
+
+    assert.deepStrictEqual(breakdown.releaseRecency, { value: 31, points: 30, max: 30 });
+    assert.deepStrictEqual(breakdown.pushRecency, { value: 7, points: 25, max: 25 });
+    assert.deepStrictEqual(breakdown.openIssues, { value: 5, points: 10, max: 10 });
+  });
+
+  it('does not score tag and commit dates as releases', () => {
+    for (const versionSource of ['tag', 'commit']) {
+      const { breakdown } = computeHealth({ ...PROJECT, versionSource }, [], null, NOW);
+      assert.deepStrictEqual(breakdown.releaseRecency, { value: null, points: 0, max: 30 }, versionSource);
+    }
+  });
+
+  it('still scores the pre-release of a project versioned by tag', () => {
+    const project = { ...PROJECT, versionSource: 'tag', latestPrereleaseDate: '2026-04-01T00:00:00Z' };
+    assert.strictEqual(computeHealth(project, [], null, NOW).breakdown.releaseRecency.value, 61);
+  });
+
+  it('penalizes archived repositories', () => {
+    const { score, breakdown } = computeHealth({ ...PROJECT, availability: 'archived' }, [], null, NOW);
+
+    assert.strictEqual(breakdown.inactive.points, -40);
+    assert.strictEqual(score, 25);
+  });
+});
+
+describe('getReleaseCadence', () => {
+  it('takes the median interval between published releases', () => {
+    const releases = ['2026-05-01', '2026-04-01', '2026-03-20', '2026-01-01']
+      .map(date => ({ published_at: `${date}T00:00:00Z` }));
+
+    assert.strictEqual(getReleaseCadence([...releases, { draft: true, published_at: '2026-05-30T00:00:00Z' }]), 30);
+    assert.strictEqual(getReleaseCadence(releases.slice(0, 1)), null);
+  });
+});
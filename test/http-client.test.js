@@ -0,0 +1,115 @@
+/**
+ * HTTP Client Tests
+ *
+ * Delays requested by rate-limited responses: Retry-After in seconds or as an
+ * HTTP date, the primary rate limit reset and secondary rate limits.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { Response } = require('node-fetch');
+const { parseRetryAfter, getRateLimitDelay } = require('../src/http-client');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  DEFAULT_DELAY: 60 * 1000, // ms, SECONDARY_RATE_LIMIT_DELAY of the client
+  MAX_WAIT: 60 * 60 * 1000, // ms, MAX_RATE_LIMIT_WAIT of the client
+  // Allowed drift between computing a reset time and the client reading the clock
+  TOLERANCE: 5000
+};
+
+/**
+ * Build a response
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @param {string} [body] - Response body
+ * @returns {Object} node-fetch Response
+ */
+function respond(status, headers, body = '') {
+  return new Response(body, { status, headers });
+}
+
+/**
+ * Get an x-ratelimit-reset value
+ * @param {number} delay - Milliseconds from now
+ * @returns {string} Epoch seconds
+ */
+function resetIn(delay) {
+  return String(Math.ceil((Date.now() + delay) / 1000));
+}
+
+// ============================================================================
+// RETRY-AFTER
+// ============================================================================
+
+describe('parseRetryAfter', () => {
+  it('reads a delay in seconds', () => {
+    assert.strictEqual(parseRetryAfter('120'), 120 * 1000);
+    assert.strictEqual(parseRetryAfter(' 0 '), 0);
+  });
+
+  it('reads an HTTP date', () => {
+    const delay = parseRetryAfter(new Date(Date.now() + 30 * 1000).toUTCString());
+    assert.ok(delay > 25 * 1000 && delay <= 30 * 1000, `${delay}`);
+  });
+
+  it('never returns a negative delay for a past date', () => {
+    assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT'), 0);
+  });
+
+  it('falls back to the default delay for invalid values', () => {
+    assert.strictEqual(parseRetryAfter('soon'), CONFIG.DEFAULT_DELAY);
+    assert.strictEqual(parseRetryAfter('5 minutes'), CONFIG.DEFAULT_DELAY);
+  });
+});
+
+// ============================================================================
+// RATE LIMIT DELAY
+// ============================================================================
+
+describe('getRateLimitDelay', () => {
+  it('ignores responses that are not 403 or 429', async () => {
+    assert.strictEqual(await getRateLimitDelay(respond(200, { 'x-ratelimit-remaining': '0' })), null);
+    assert.strictEqual(await getRateLimitDelay(respond(500, { 'retry-after': '10' })), null);
+  });
+
+  it('prefers Retry-After', async () => {
+    const response = respond(429, { 'retry-after': '10', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': resetIn(CONFIG.MAX_WAIT) });
+    assert.strictEqual(await getRateLimitDelay(response), 10 * 1000);
+  });
+
+  it('waits for the reset of an exhausted rate limit', async () => {
+    const delay = await getRateLimitDelay(respond(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': resetIn(20 * 1000) }));
+    assert.ok(delay > 20 * 1000 - CONFIG.TOLERANCE && delay <= 22 * 1000, `${delay}`);
+  });
+
+  it('falls back to the default delay without a valid reset time', async () => {
+    assert.strictEqual(await getRateLimitDelay(respond(403, { 'x-ratelimit-remaining': '0' })), CONFIG.DEFAULT_DELAY);
+    assert.strictEqual(await getRateLimitDelay(respond(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': 'never' })), CONFIG.DEFAULT_DELAY);
+  });
+
+  it('does not let the safety margin push a reset past the maximum wait', async () => {
+    const response = respond(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.floor((Date.now() + CONFIG.MAX_WAIT) / 1000)) });
+    assert.ok(await getRateLimitDelay(response) <= CONFIG.MAX_WAIT);
+  });
+
+  it('reports a reset beyond the maximum wait as is', async () => {
+    const delay = await getRateLimitDelay(respond(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': resetIn(2 * CONFIG.MAX_WAIT) }));
+    assert.ok(delay > CONFIG.MAX_WAIT, `${delay}`);
+  });
+
+  it('uses the default delay for secondary rate limits', async () => {
+    assert.strictEqual(await getRateLimitDelay(respond(429, {})), CONFIG.DEFAULT_DELAY);
+    assert.strictEqual(await getRateLimitDelay(respond(403, {}, '{"message":"You have exceeded a secondary rate limit"}')), CONFIG.DEFAULT_DELAY);
+  });
+
+  it('does not treat a plain 403 as rate limited', async () => {
+    assert.strictEqual(await getRateLimitDelay(respond(403, {}, '{"message":"Repository access blocked"}')), null);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Repository String Tests
+ *
+ * Parsing of the projects.yml `repo` field, its shortest form and the file
+ * names of per-project output.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { parseRepoString, formatRepoString, getRepoFileName } = require('../src/providers/repo-string');
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+describe('parseRepoString', () => {
+  it('reads "owner/repo" as a GitHub repository', () => {
+    assert.deepStrictEqual(parseRepoString('Atmosphere-NX/Atmosphere'), {
+      id: 'Atmosphere-NX/Atmosphere',
+      provider: 'github',
+      host: 'github.com',
+      owner: 'Atmosphere-NX',
+      repo: 'Atmosphere',
+      path: 'Atmosphere-NX/Atmosphere'
+    });
+  });
+
+  it('reads prefixes and nested GitLab groups', () => {
+    const gitlab = parseRepoString('gitlab:group/sub/project');
+    assert.strictEqual(gitlab.provider, 'gitlab');
+    assert.strictEqual(gitlab.host, 'gitlab.com');
+    assert.strictEqual(gitlab.owner, 'group/sub');
+    assert.strictEqual(gitlab.repo, 'project');
+
+    const codeberg = parseRepoString('codeberg:owner/repo');
+    assert.strictEqual(codeberg.provider, 'gitea');
+    assert.strictEqual(codeberg.host, 'codeberg.org');
+  });
+
+  it('reads repository URLs of known hosts and self-hosted instances', () => {
+    const github = parseRepoString('https://github.com/owner/repo.git/');
+    assert.strictEqual(github.provider, 'github');
+    assert.strictEqual(github.path, 'owner/repo');
+
+    const gitea = parseRepoString('gitea:https://git.example.org/owner/repo');
+    assert.strictEqual(gitea.provider, 'gitea');
+    assert.strictEqual(gitea.host, 'git.example.org');
+  });
+
+  it('keeps the configured string as the project id', () => {
+    assert.strictEqual(parseRepoString(' https://GitLab.com/group/project ').id, 'https://GitLab.com/group/project');
+  });
+
+  it('rejects unknown prefixes and hosts, missing hosts and malformed paths', () => {
+    assert.throws(() => parseRepoString('bitbucket:owner/repo'), /Unknown provider "bitbucket"/);
+    assert.throws(() => parseRepoString('https://git.example.org/owner/repo'), /Unknown host "git.example.org"/);
+    assert.throws(() => parseRepoString('gitea:owner/repo'), /Missing host/);
+    assert.throws(() => parseRepoString('github:https://github.example.com/owner/repo'), /Unsupported GitHub host/);
+    assert.throws(() => parseRepoString('owner/group/repo'), /Invalid repo format/);
+    assert.throws(() => parseRepoString('owner/'), /Invalid repo format/);
+  });
+});
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+describe('formatRepoString', () => {
+  it('gives the shortest form of every accepted string', () => {
+    const cases = {
+      'https://github.com/owner/repo': 'owner/repo',
+      'github:owner/repo': 'owner/repo',
+      'https://gitlab.com/group/sub/project': 'gitlab:group/sub/project',
+      'https://codeberg.org/owner/repo': 'codeberg:owner/repo',
+      'gitlab:https://gitlab.example.org/group/project': 'gitlab:https://gitlab.example.org/group/project'
+    };
+
+    for (const [input, expected] of Object.entries(cases)) {
+      assert.strictEqual(formatRepoString(parseRepoString(input)), expected, input);
+    }
+  });
+});
+
+describe('getRepoFileName', () => {
+  it('keeps GitHub names flat and puts other hosts in a directory', () => {
+    assert.strictEqual(getRepoFileName(parseRepoString('owner/repo')), 'owner__repo');
+    assert.strictEqual(getRepoFileName(parseRepoString('gitlab:group/sub/project')), 'gitlab.com/group__sub__project');
+  });
+});
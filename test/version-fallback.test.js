@@ -0,0 +1,142 @@
+/**
+ * Version Fallback Tests
+ *
+ * Version tags, the choice of the newest one, and when a project without a
+ * release falls back to a tag or to its latest commit. Provider calls are
+ * answered from fixed data.
+ *
+ * @author ghost
+ * @version 1.0.0
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('assert');
+const providers = require('../src/providers');
+
+// version-fallback binds the provider functions when loaded
+const fetchTags = mock.method(providers, 'fetchTags', async () => []);
+const fetchCommit = mock.method(providers, 'fetchCommit', async () => null);
+const { parseTagVersion, findNewestTag, findVersionFallback } = require('../src/version-fallback');
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const REF = { id: 'owner/repo', provider: 'github', host: 'github.com', owner: 'owner', repo: 'repo', path: 'owner/repo' };
+
+const TAGS = [
+  { name: 'nightly', commit: { sha: 'n1' }, html_url: 'https://github.com/owner/repo/tree/nightly' },
+  { name: 'v2.0.0-beta1', commit: { sha: 'b1' }, html_url: 'https://github.com/owner/repo/tree/v2.0.0-beta1' },
+  { name: 'v1.10.0', commit: { sha: 'a2' }, html_url: 'https://github.com/owner/repo/tree/v1.10.0' },
+  { name: 'v1.9.3', commit: { sha: 'a1' }, html_url: 'https://github.com/owner/repo/tree/v1.9.3' }
+];
+
+const COMMIT = {
+  sha: '0123456789abcdef',
+  html_url: 'https://github.com/owner/repo/commit/0123456789abcdef',
+  commit: { message: 'Fix build\n\nDetails', committer: { date: '2026-01-02T03:04:05Z' } }
+};
+
+// ============================================================================
+// TAG VERSIONS
+// ============================================================================
+
+describe('parseTagVersion', () => {
+  it('reads prefixes, dotted numbers and suffixes', () => {
+    assert.deepStrictEqual(parseTagVersion('v1.2.3'), { numbers: [1, 2, 3], prerelease: false });
+    assert.deepStrictEqual(parseTagVersion('release-2.0'), { numbers: [2, 0], prerelease: false });
+    assert.deepStrictEqual(parseTagVersion('1.0.0-rc1'), { numbers: [1, 0, 0], prerelease: true });
+    assert.deepStrictEqual(parseTagVersion('1.0.0+build.5'), { numbers: [1, 0, 0], prerelease: false });
+  });
+
+  it('rejects tags that are not versions', () => {
+    assert.strictEqual(parseTagVersion('latest'), null);
+    assert.strictEqual(parseTagVersion('nightly-build'), null);
+  });
+});
+
+describe('findNewestTag', () => {
+  it('compares numerically and prefers stable versions', () => {
+    assert.strictEqual(findNewestTag(TAGS).name, 'v1.10.0');
+  });
+
+  it('uses a pre-release when no stable version exists', () => {
+    assert.strictEqual(findNewestTag(TAGS.slice(0, 2)).name, 'v2.0.0-beta1');
+  });
+
+  it('returns null without version tags', () => {
+    assert.strictEqual(findNewestTag([TAGS[0]]), null);
+  });
+});
+
+// ============================================================================
+// FALLBACK
+// ============================================================================
+
+describe('findVersionFallback', () => {
+  beforeEach(() => {
+    fetchTags.mock.resetCalls();
+    fetchCommit.mock.resetCalls();
+    fetchTags.mock.mockImplementation(async () => TAGS);
+    fetchCommit.mock.mockImplementation(async () => COMMIT);
+  });
+
+  it('keeps the release without asking for tags', async () => {
+    assert.strictEqual(await findVersionFallback(REF, 'auto', true), null);
+    assert.strictEqual(await findVersionFallback(REF, 'release', false), null);
+    assert.strictEqual(fetchTags.mock.callCount(), 0);
+  });
+
+  it('falls back to the newest version tag, dated by its commit', async () => {
+    assert.deepStrictEqual(await findVersionFallback(REF, 'auto', false), {
+      source: 'tag',
+      version: 'v1.10.0',
+      url: 'https://github.com/owner/repo/tree/v1.10.0',
+      date: '2026-01-02T03:04:05Z',
+      commit: null
+    });
+    assert.deepStrictEqual(fetchCommit.mock.calls[0].arguments, [REF, 'a2']);
+  });
+
+  it('uses the tag even when the project has releases if asked to', async () => {
+    assert.strictEqual((await findVersionFallback(REF, 'tag', true)).version, 'v1.10.0');
+  });
+
+  it('falls back to the latest commit without version tags', async () => {
+    fetchTags.mock.mockImplementation(async () => [TAGS[0]]);
+
+    assert.deepStrictEqual(await findVersionFallback(REF, 'auto', false), {
+      source: 'commit',
+      version: '0123456',
+      url: 'https://github.com/owner/repo/commit/0123456789abcdef',
+      date: '2026-01-02T03:04:05Z',
+      commit: {
+        sha: '0123456789abcdef',
+        message: 'Fix build',
+        date: '2026-01-02T03:04:05Z',
+        url: 'https://github.com/owner/repo/commit/0123456789abcdef'
+      }
+    });
+  });
+
+  it('never uses a commit when tags are required', async () => {
+    fetchTags.mock.mockImplementation(async () => []);
+
+    assert.strictEqual(await findVersionFallback(REF, 'tag', false), null);
+    assert.strictEqual(fetchCommit.mock.callCount(), 0);
+  });
+
+  it('skips tags when the commit is asked for', async () => {
+    assert.strictEqual((await findVersionFallback(REF, 'commit', true)).source, 'commit');
+    assert.strictEqual(fetchTags.mock.callCount(), 0);
+  });
+
+  it('lets provider errors through so the project fails', async () => {
+    fetchTags.mock.mockImplementation(async () => {
+      throw new Error('GitHub API error: 502 Bad Gateway');
+    });
+
+    await assert.rejects(findVersionFallback(REF, 'auto', false), /502/);
+    assert.strictEqual(fetchCommit.mock.callCount(), 0);
+  });
+});
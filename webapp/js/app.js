@@ -7,9 +7,18 @@ class NXProjectsTracker {
     constructor() {
         this.projects = [];
         this.filteredProjects = [];
+        this.firmwareWatch = null;
+        this.firmwareCatalog = [];
+        this.generatedAt = null;
+        this.failedRepos = [];
+        this.firmwareWatchStatus = new Map();
         this.currentFilters = {
             search: '',
             language: 'all',
+            type: 'all',
+            health: 'all',
+            firmware: 'all',
+            firmwareWatch: 'all',
             sortBy: 'stars'
         };
         this.currentPage = 1;
@@ -33,6 +42,8 @@ class NXProjectsTracker {
             // Initialize UI
             this.updateStats();
             this.updateLanguageFilter();
+            this.updateFirmwareFilter();
+            this.updateFirmwareWatch();
             this.filterProjects(); // Initialize filtered projects
             this.renderProjects();
             this.renderPagination(); // Initialize pagination
@@ -61,7 +72,13 @@ class NXProjectsTracker {
             const response = await fetch('./data/projects.json');
             if (response.ok) {
                 const data = await response.json();
-                this.projects = data.projects || [];
+                // Hidden projects are tracked but not listed on the site
+                this.projects = (data.projects || []).filter(project => !project.hidden);
+                this.firmwareWatch = data.firmwareWatch || null;
+                this.firmwareCatalog = data.firmwareCatalog || [];
+                // Older files have no envelope, the footer then falls back to now
+                this.generatedAt = data.generatedAt || null;
+                this.failedRepos = data.failedRepos || [];
                 return;
             }
         } catch (error) {
@@ -98,6 +115,41 @@ class NXProjectsTracker {
             this.filterAndRender();
         });
 
+        // Type filter
+        const typeFilter = document.getElementById('type-filter');
+        typeFilter.addEventListener('change', (e) => {
+            this.currentFilters.type = e.target.value;
+            this.filterAndRender();
+        });
+
+        // Health filter
+        const healthFilter = document.getElementById('health-filter');
+        healthFilter.addEventListener('change', (e) => {
+            this.currentFilters.health = e.target.value;
+            this.filterAndRender();
+        });
+
+        // Console firmware filter
+        const firmwareFilter = document.getElementById('firmware-filter');
+        firmwareFilter.addEventListener('change', (e) => {
+            this.currentFilters.firmware = e.target.value;
+            this.filterAndRender();
+        });
+
+        // Firmware watch filter
+        const firmwareWatchFilter = document.getElementById('firmware-watch-filter');
+        firmwareWatchFilter.addEventListener('change', (e) => {
+            this.currentFilters.firmwareWatch = e.target.value;
+            this.filterAndRender();
+        });
+
+        document.getElementById('firmware-watch-show').addEventListener('click', () => {
+            firmwareWatchFilter.value = 'not-updated';
+            this.currentFilters.firmwareWatch = 'not-updated';
+            this.filterAndRender();
+            document.querySelector('.controls-section').scrollIntoView({ behavior: 'smooth' });
+        });
+
         // Sort functionality
         const sortSelect = document.getElementById('sort-select');
         sortSelect.addEventListener('change', (e) => {
@@ -168,8 +220,10 @@ class NXProjectsTracker {
             const searchTerm = this.currentFilters.search.toLowerCase();
             filtered = filtered.filter(project =>
                 project.name.toLowerCase().includes(searchTerm) ||
+                (project.displayName && project.displayName.toLowerCase().includes(searchTerm)) ||
                 project.author.toLowerCase().includes(searchTerm) ||
-                (project.description && project.description.toLowerCase().includes(searchTerm))
+                (project.description && project.description.toLowerCase().includes(searchTerm)) ||
+                (project.tags || []).some(tag => tag.includes(searchTerm))
             );
         }
 
@@ -178,6 +232,30 @@ class NXProjectsTracker {
             filtered = filtered.filter(project => project.language === this.currentFilters.language);
         }
 
+        // Type filter
+        if (this.currentFilters.type !== 'all') {
+            filtered = filtered.filter(project => project.type === this.currentFilters.type);
+        }
+
+        // Health filter
+        if (this.currentFilters.health !== 'all') {
+            filtered = filtered.filter(project => project.health && project.health.status === this.currentFilters.health);
+        }
+
+        // Console firmware filter, projects without firmware information stay listed
+        if (this.currentFilters.firmware !== 'all') {
+            filtered = filtered.filter(project =>
+                !window.NXUtils.FirmwareUtils.isIncompatible(project, this.currentFilters.firmware)
+            );
+        }
+
+        // Firmware watch filter
+        if (this.currentFilters.firmwareWatch !== 'all') {
+            filtered = filtered.filter(project =>
+                this.firmwareWatchStatus.get(project.projectUrl) === this.currentFilters.firmwareWatch
+            );
+        }
+
         // Sort projects
         filtered.sort((a, b) => {
             switch (this.currentFilters.sortBy) {
@@ -193,6 +271,8 @@ class NXProjectsTracker {
                     return new Date(b.lastUpdated) - new Date(a.lastUpdated);
                 case 'created':
                     return new Date(b.createdAt) - new Date(a.createdAt);
+                case 'health':
+                    return (b.health ? b.health.score : -1) - (a.health ? a.health.score : -1);
                 default:
                     return b.stars - a.stars;
             }
@@ -254,9 +334,9 @@ class NXProjectsTracker {
         return `
             <div class="project-card">
                 <div class="project-header">
-                    <img src="${project.authorAvatar}" alt="${project.author}" class="project-avatar" loading="lazy">
+                    ${project.authorAvatar ? `<img src="${project.authorAvatar}" alt="${project.author}" class="project-avatar" loading="lazy">` : ''}
                     <div class="project-info">
-                        <h3 class="project-name">${this.escapeHtml(project.name)}</h3>
+                        <h3 class="project-name">${this.escapeHtml(project.displayName || project.name)}</h3>
                         <p class="project-author">
                             by <a href="${project.authorUrl}" target="_blank" rel="noopener">${this.escapeHtml(project.author)}</a>
                         </p>
@@ -276,7 +356,7 @@ class NXProjectsTracker {
                     </div>
                     <div class="stat-item">
                         <i data-lucide="tag"></i>
-                        <span>Latest Version: ${project.latestVersion || 'N/A'}</span>
+                        <span>Latest Version: ${this.escapeHtml(project.latestVersion || 'N/A')}${this.createVersionSourceBadge(project)}</span>
                     </div>
                 </div>
                 
@@ -288,8 +368,34 @@ class NXProjectsTracker {
                         </div>
                     ` : ''}
                     <div class="project-firmware">
-                        FW ${project.requiredFirmware}
+                        FW ${this.formatFirmware(project)}
                     </div>
+                    ${project.type ? `
+                        <div class="type-badge">${this.getTypeLabel(project.type)}</div>
+                    ` : ''}
+                    ${project.health ? `
+                        <div class="health-badge health-${project.health.status}" title="Health score">
+                            Health ${project.health.score}
+                        </div>
+                    ` : ''}
+                    ${project.availability && project.availability !== 'active' ? `
+                        <div class="status-badge status-${project.availability}" title="${this.formatRepositoryStatus(project)}">
+                            ${this.getStatusLabel(project.availability)}
+                        </div>
+                    ` : ''}
+                    ${project.stale ? `
+                        <div class="stale-badge" title="${this.formatStaleData(project)}">Stale</div>
+                    ` : ''}
+                    ${project.requiredAtmosphere && project.requiredAtmosphere.satisfied === false ? `
+                        <div class="atmosphere-badge" title="Not satisfied by the latest Atmosphère release">
+                            Needs Atmosphère ${this.escapeHtml(project.requiredAtmosphere.version)}
+                        </div>
+                    ` : ''}
+                    ${project.latestPrereleaseVersion ? `
+                        <div class="prerelease-badge" title="Latest pre-release">
+                            Pre-release ${this.escapeHtml(project.latestPrereleaseVersion)}
+                        </div>
+                    ` : ''}
                 </div>
                 
                 <div class="project-actions">
@@ -300,7 +406,7 @@ class NXProjectsTracker {
                     ${project.latestReleaseUrl ? `
                         <a href="${project.latestReleaseUrl}" target="_blank" rel="noopener" class="btn btn-secondary">
                             <i data-lucide="download"></i>
-                            Latest Release
+                            ${project.versionSource === 'tag' ? 'Latest Tag' : 'Latest Release'}
                         </a>
                     ` : ''}
                 </div>
@@ -313,7 +419,7 @@ class NXProjectsTracker {
         const modalTitle = document.getElementById('modal-title');
         const modalBody = document.getElementById('modal-body');
 
-        modalTitle.textContent = project.name;
+        modalTitle.textContent = project.displayName || project.name;
         modalBody.innerHTML = this.createModalContent(project);
 
         modal.classList.add('show');
@@ -333,9 +439,9 @@ class NXProjectsTracker {
 
         return `
             <div class="modal-project-header">
-                <img src="${project.authorAvatar}" alt="${project.author}" class="modal-project-avatar" loading="lazy">
+                ${project.authorAvatar ? `<img src="${project.authorAvatar}" alt="${project.author}" class="modal-project-avatar" loading="lazy">` : ''}
                 <div class="modal-project-info">
-                    <h2>${this.escapeHtml(project.name)}</h2>
+                    <h2>${this.escapeHtml(project.displayName || project.name)}</h2>
                     <p class="modal-project-author">
                         by <a href="${project.authorUrl}" target="_blank" rel="noopener">${this.escapeHtml(project.author)}</a>
                     </p>
@@ -357,7 +463,7 @@ class NXProjectsTracker {
                     <div class="modal-stat-label">Language</div>
                 </div>
                 <div class="modal-stat">
-                    <div class="modal-stat-value">${project.requiredFirmware}</div>
+                    <div class="modal-stat-value">${this.formatFirmware(project)}</div>
                     <div class="modal-stat-label">Firmware</div>
                 </div>
             </div>
@@ -369,7 +475,7 @@ class NXProjectsTracker {
                 </div>
                 <div class="detail-group">
                     <div class="detail-label">Latest Version</div>
-                    <div class="detail-value">${project.latestVersion || 'N/A'}</div>
+                    <div class="detail-value">${this.escapeHtml(project.latestVersion || 'N/A')}${this.createVersionSourceBadge(project)}</div>
                 </div>
                 <div class="detail-group">
                     <div class="detail-label">Last Updated</div>
@@ -379,10 +485,72 @@ class NXProjectsTracker {
                     <div class="detail-label">Created</div>
                     <div class="detail-value">${createdAt}</div>
                 </div>
-                <div class="detail-group">
-                    <div class="detail-label">Latest Release</div>
-                    <div class="detail-value">${latestReleaseDate}</div>
-                </div>
+                ${project.latestCommit ? `
+                    <div class="detail-group">
+                        <div class="detail-label">Latest Commit</div>
+                        <div class="detail-value">${this.formatLatestCommit(project.latestCommit)}</div>
+                    </div>
+                ` : `
+                    <div class="detail-group">
+                        <div class="detail-label">${project.versionSource === 'tag' ? 'Latest Tag' : 'Latest Release'}</div>
+                        <div class="detail-value">${latestReleaseDate}</div>
+                    </div>
+                `}
+                ${project.latestPrereleaseVersion ? `
+                    <div class="detail-group">
+                        <div class="detail-label">Latest Pre-release</div>
+                        <div class="detail-value">
+                            <span class="prerelease-badge">Pre-release</span>
+                            ${this.escapeHtml(project.latestPrereleaseVersion)} • ${this.formatDate(project.latestPrereleaseDate)}
+                        </div>
+                    </div>
+                ` : ''}
+                ${project.type || project.category ? `
+                    <div class="detail-group">
+                        <div class="detail-label">Type</div>
+                        <div class="detail-value">
+                            ${[project.type && this.getTypeLabel(project.type), project.category && this.escapeHtml(project.category)].filter(Boolean).join(' • ')}
+                        </div>
+                    </div>
+                ` : ''}
+                ${project.tags && project.tags.length ? `
+                    <div class="detail-group">
+                        <div class="detail-label">Tags</div>
+                        <div class="detail-value project-tags">
+                            ${project.tags.map(tag => `<span class="project-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                ${project.availability && project.availability !== 'active' ? `
+                    <div class="detail-group">
+                        <div class="detail-label">Status</div>
+                        <div class="detail-value">
+                            <span class="status-badge status-${project.availability}">${this.getStatusLabel(project.availability)}</span>
+                            ${this.formatRepositoryStatus(project)}
+                        </div>
+                    </div>
+                ` : ''}
+                ${project.stale ? `
+                    <div class="detail-group">
+                        <div class="detail-label">Data</div>
+                        <div class="detail-value">
+                            <span class="stale-badge">Stale</span>
+                            ${this.formatStaleData(project)}
+                        </div>
+                    </div>
+                ` : ''}
+                ${project.movedTo ? `
+                    <div class="detail-group">
+                        <div class="detail-label">Moved To</div>
+                        <div class="detail-value">${this.escapeHtml(project.movedTo)}</div>
+                    </div>
+                ` : ''}
+                ${project.requiredAtmosphere ? `
+                    <div class="detail-group">
+                        <div class="detail-label">Atmosphère</div>
+                        <div class="detail-value">${this.formatAtmosphereRequirement(project.requiredAtmosphere)}</div>
+                    </div>
+                ` : ''}
                 ${project.language ? `
                     <div class="detail-group">
                         <div class="detail-label">Language</div>
@@ -393,15 +561,31 @@ class NXProjectsTracker {
                 ` : ''}
             </div>
 
+            ${this.createHealthBreakdown(project)}
+
+            ${this.createReleaseAssets(project)}
+
             <div class="modal-project-actions">
                 <a href="${project.projectFullUrl}" target="_blank" rel="noopener" class="btn btn-primary">
                     <i data-lucide="external-link"></i>
-                    View on GitHub
+                    View on ${this.escapeHtml(this.getHostLabel(project))}
                 </a>
                 ${project.latestReleaseUrl ? `
                     <a href="${project.latestReleaseUrl}" target="_blank" rel="noopener" class="btn btn-secondary">
                         <i data-lucide="download"></i>
-                        Latest Release
+                        ${project.versionSource === 'tag' ? 'Latest Tag' : 'Latest Release'}
+                    </a>
+                ` : ''}
+                ${project.latestPrereleaseUrl ? `
+                    <a href="${project.latestPrereleaseUrl}" target="_blank" rel="noopener" class="btn btn-secondary">
+                        <i data-lucide="flask-conical"></i>
+                        Pre-release
+                    </a>
+                ` : ''}
+                ${project.homepage ? `
+                    <a href="${this.escapeHtml(project.homepage)}" target="_blank" rel="noopener" class="btn btn-secondary">
+                        <i data-lucide="globe"></i>
+                        Homepage
                     </a>
                 ` : ''}
                 <a href="${project.authorUrl}" target="_blank" rel="noopener" class="btn btn-secondary">
@@ -412,6 +596,180 @@ class NXProjectsTracker {
         `;
     }
 
+    getTypeLabel(type) {
+        const labels = {
+            'nro': 'NRO',
+            'sysmodule': 'Sysmodule',
+            'overlay': 'Tesla Overlay',
+            'payload': 'RCM Payload',
+            'pc-tool': 'PC Tool',
+            'android-app': 'Android App'
+        };
+        return labels[type] || this.escapeHtml(type);
+    }
+
+    getStatusLabel(status) {
+        const labels = {
+            'archived': 'Archived',
+            'disabled': 'Disabled',
+            'taken-down': 'Taken Down',
+            'unavailable': 'Unavailable'
+        };
+        return labels[status] || this.escapeHtml(status);
+    }
+
+    formatRepositoryStatus(project) {
+        const reasons = {
+            'dmca': 'DMCA takedown',
+            'tos': 'terms of service violation',
+            'legal': 'unavailable for legal reasons',
+            'not-found': 'deleted or made private'
+        };
+
+        if (!project.unavailableSince) {
+            return project.availability === 'archived' ? 'Read-only, no longer maintained' : `Disabled by ${this.getHostLabel(project)}`;
+        }
+
+        const reason = reasons[project.unavailableReason] || this.escapeHtml(project.unavailableReason || 'unknown reason');
+        return `Since ${this.formatDate(project.unavailableSince)} (${reason}), last known data shown`;
+    }
+
+    formatFirmware(project) {
+        // requiredFirmware is the minimum, supportedUpTo the newest supported firmware
+        const minimum = project.requiredFirmware;
+        const maximum = project.supportedUpTo;
+
+        if (minimum && maximum) {
+            return `${this.escapeHtml(minimum)} – ${this.escapeHtml(maximum)}`;
+        }
+
+        if (maximum) {
+            return `≤ ${this.escapeHtml(maximum)}`;
+        }
+
+        return minimum ? `${this.escapeHtml(minimum)}+` : '—';
+    }
+
+    getHostLabel(project) {
+        const labels = {
+            'github.com': 'GitHub',
+            'gitlab.com': 'GitLab',
+            'codeberg.org': 'Codeberg'
+        };
+
+        // Older data has no host, every project was on GitHub
+        const host = project.host || 'github.com';
+        return labels[host] || host;
+    }
+
+    createVersionSourceBadge(project) {
+        // Projects without releases are versioned by a tag or their latest commit
+        const titles = {
+            'tag': 'No release published, newest version tag',
+            'commit': 'No release or version tag, latest commit of the default branch'
+        };
+
+        if (!titles[project.versionSource]) return '';
+        return `<span class="version-source-badge" title="${titles[project.versionSource]}">${project.versionSource}</span>`;
+    }
+
+    formatLatestCommit(commit) {
+        const sha = commit.url
+            ? `<a href="${commit.url}" target="_blank" rel="noopener">${commit.sha.slice(0, 7)}</a>`
+            : commit.sha.slice(0, 7);
+        return `${sha} ${this.escapeHtml(commit.message)} • ${this.formatDate(commit.date)}`;
+    }
+
+    formatStaleData(project) {
+        return project.lastSuccessfulFetch
+            ? `Could not be refreshed, last fetched ${this.formatDate(project.lastSuccessfulFetch)}`
+            : 'Could not be refreshed, showing data from an earlier run';
+    }
+
+    formatAtmosphereRequirement(requirement) {
+        const version = `${this.escapeHtml(requirement.version)} or newer`;
+
+        if (requirement.satisfied === null) {
+            return version;
+        }
+
+        const latest = this.escapeHtml(requirement.latest);
+        return requirement.satisfied
+            ? `${version} • <span class="atmosphere-satisfied">satisfied by ${latest}</span>`
+            : `${version} • <span class="atmosphere-unsatisfied">not satisfied by ${latest}</span>`;
+    }
+
+    createHealthBreakdown(project) {
+        if (!project.health) return '';
+
+        const { breakdown } = project.health;
+        const days = value => value === null ? 'unknown' : `${value} days`;
+        const firmwareLabels = {
+            'released-after': 'released after',
+            'declares-support': 'declares support',
+            'not-updated': 'not updated'
+        };
+        const rows = [
+            ['Latest release', days(breakdown.releaseRecency.value), breakdown.releaseRecency],
+            ['Last push', days(breakdown.pushRecency.value), breakdown.pushRecency],
+            ['Release cadence', breakdown.releaseCadence.value === null ? 'unknown' : `every ${breakdown.releaseCadence.value} days`, breakdown.releaseCadence],
+            ['Open issues', breakdown.openIssues.value === null ? 'unknown' : this.formatNumber(breakdown.openIssues.value), breakdown.openIssues],
+            ['Newest firmware', firmwareLabels[breakdown.firmwareSupport.value] || 'unknown', breakdown.firmwareSupport]
+        ];
+
+        if (breakdown.inactive.value) {
+            rows.push(['Archived or disabled', 'yes', breakdown.inactive]);
+        }
+
+        return `
+            <div class="modal-health">
+                <div class="release-assets-header">
+                    <div class="detail-label">Health</div>
+                    <span class="health-badge health-${project.health.status}">${project.health.score} / 100</span>
+                </div>
+                <ul class="health-breakdown">
+                    ${rows.map(([label, value, signal]) => `
+                        <li class="health-signal">
+                            <span class="health-signal-name">${label}: ${value}</span>
+                            <span class="health-signal-points">${signal.points}${signal.max ? ` / ${signal.max}` : ''}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    createReleaseAssets(project) {
+        const assets = project.latestReleaseAssets || [];
+        if (assets.length === 0) return '';
+
+        return `
+            <div class="modal-release-assets">
+                <div class="release-assets-header">
+                    <div class="detail-label">Downloads (${this.escapeHtml(project.latestVersion || 'latest')})</div>
+                    <div class="release-assets-total">
+                        <i data-lucide="download"></i>
+                        ${project.totalDownloads === null || project.totalDownloads === undefined ? '—' : this.formatNumber(project.totalDownloads)} total
+                    </div>
+                </div>
+                <ul class="release-assets-list">
+                    ${assets.map(asset => `
+                        <li class="release-asset">
+                            <div class="release-asset-info">
+                                <span class="release-asset-name">${this.escapeHtml(asset.name)}</span>
+                                <span class="release-asset-meta">${this.formatAssetMeta(asset)}</span>
+                            </div>
+                            <a href="${asset.downloadUrl}" class="btn btn-secondary release-asset-download" rel="noopener" title="Download ${this.escapeHtml(asset.name)}">
+                                <i data-lucide="download"></i>
+                                Download
+                            </a>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
     closeModal() {
         const modal = document.getElementById('project-modal');
         const modalContent = modal.querySelector('.modal-content');
@@ -468,6 +826,56 @@ class NXProjectsTracker {
         });
     }
 
+    updateFirmwareFilter() {
+        if (this.firmwareCatalog.length === 0) {
+            return;
+        }
+
+        const firmwareFilter = document.getElementById('firmware-filter');
+
+        // Catalog entries are newest first
+        this.firmwareCatalog.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.version;
+            const released = new Date(entry.released).toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+            option.textContent = `${entry.version} (${released})`;
+            firmwareFilter.appendChild(option);
+        });
+
+        document.getElementById('firmware-filter-group').style.display = '';
+    }
+
+    updateFirmwareWatch() {
+        if (!this.firmwareWatch) {
+            return;
+        }
+
+        const watch = this.firmwareWatch;
+        this.firmwareWatchStatus = new Map(watch.projects.map(entry => [entry.project, entry.status]));
+
+        const filterGroup = document.getElementById('firmware-watch-filter-group');
+        filterGroup.style.display = '';
+        filterGroup.querySelector('label').textContent = `Firmware ${watch.firmware}`;
+
+        // The banner only makes sense in the weeks following a system update
+        if (!watch.active) {
+            return;
+        }
+
+        const updated = watch.summary['released-after'] + watch.summary['declares-support'];
+        const released = new Date(watch.released).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+        document.getElementById('firmware-watch-text').innerHTML = `
+            <strong>Firmware ${this.escapeHtml(watch.firmware)}</strong> was released on ${released}.
+            ${updated} of ${watch.projects.length} projects have been updated or declare support,
+            ${watch.summary['not-updated']} not yet.
+        `;
+        document.getElementById('firmware-watch-banner').style.display = '';
+    }
+
     hideLoadingScreen() {
         const loadingScreen = document.getElementById('loading-screen');
         loadingScreen.classList.add('hidden');
@@ -511,7 +919,7 @@ class NXProjectsTracker {
     updateLastUpdated() {
         const lastUpdatedElement = document.getElementById('last-updated');
         if (lastUpdatedElement) {
-            const now = new Date();
+            const generatedAt = this.generatedAt ? new Date(this.generatedAt) : new Date();
             const options = { 
                 year: 'numeric', 
                 month: 'long', 
@@ -520,8 +928,12 @@ class NXProjectsTracker {
                 minute: '2-digit',
                 timeZoneName: 'short'
             };
-            const formattedDate = now.toLocaleDateString('en-US', options);
+            const formattedDate = generatedAt.toLocaleDateString('en-US', options);
             lastUpdatedElement.textContent = `Last updated: ${formattedDate}`;
+            
+            if (this.failedRepos.length) {
+                lastUpdatedElement.title = `Last run could not fetch: ${this.failedRepos.join(', ')}`;
+            }
         }
     }
 
@@ -689,6 +1101,23 @@ class NXProjectsTracker {
         return num.toString();
     }
 
+    formatAssetMeta(asset) {
+        // GitLab does not report sizes and download counts
+        const meta = [];
+        if (asset.size !== null && asset.size !== undefined) meta.push(this.formatBytes(asset.size));
+        if (asset.downloadCount !== null && asset.downloadCount !== undefined) meta.push(`${this.formatNumber(asset.downloadCount)} downloads`);
+        return meta.join(' • ');
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        const value = bytes / Math.pow(1024, exponent);
+        return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+    }
+
     formatDate(dateString) {
         if (!dateString) return 'N/A';
         
@@ -431,11 +431,119 @@ const ColorUtils = {
     }
 };
 
+// Firmware utilities, the range syntax of firmware.yml (src/firmware.js)
+const FirmwareUtils = {
+    /**
+     * Compare two firmware versions
+     * @param {string} a - First version
+     * @param {string} b - Second version
+     * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+     */
+    compare(a, b) {
+        const left = String(a).split('.').map(Number);
+        const right = String(b).split('.').map(Number);
+
+        for (let i = 0; i < 3; i++) {
+            if ((left[i] || 0) !== (right[i] || 0)) {
+                return (left[i] || 0) - (right[i] || 0);
+            }
+        }
+        return 0;
+    },
+
+    /**
+     * Expand one range token into comparators
+     * @param {string} token - Token such as ">=10.0.0", "^19.0.0", "~19.1.0" or "19.x"
+     * @returns {Array<{operator: string, version: string}>} Comparators
+     */
+    parseRangeToken(token) {
+        const match = /^(>=|<=|>|<|=|\^|~)?v?(\*|x|\d+)(?:\.(\*|x|\d+))?(?:\.(\*|x|\d+))?$/i.exec(token);
+        if (!match) {
+            throw new Error(`Invalid firmware range token: "${token}"`);
+        }
+
+        const [, operator = '', ...rawParts] = match;
+        const parts = rawParts.filter(part => part !== undefined);
+        const wildcardIndex = parts.findIndex(part => /^[*x]$/i.test(part));
+        const fixed = (wildcardIndex === -1 ? parts : parts.slice(0, wildcardIndex)).map(Number);
+        const version = [fixed[0] || 0, fixed[1] || 0, fixed[2] || 0].join('.');
+        const nextMajor = `${fixed[0] + 1}.0.0`;
+        const nextMinor = `${fixed[0]}.${fixed[1] + 1}.0`;
+
+        if (operator === '^' || operator === '~') {
+            const upper = operator === '^' || fixed.length < 2 ? nextMajor : nextMinor;
+            return [{ operator: '>=', version }, { operator: '<', version: upper }];
+        }
+
+        // Partial versions without operator are x-ranges: "19.x" means any 19 release
+        if ((operator === '' || operator === '=') && fixed.length < 3) {
+            if (fixed.length === 0) return [];
+            return [{ operator: '>=', version }, { operator: '<', version: fixed.length === 1 ? nextMajor : nextMinor }];
+        }
+
+        return [{ operator: operator || '=', version }];
+    },
+
+    /**
+     * Check whether a firmware version satisfies a range
+     * @param {string} version - Firmware version
+     * @param {string} range - Range expression (comparators, hyphen ranges, x-ranges, ^, ~ and ||)
+     * @returns {boolean} True if the version is in the range
+     */
+    satisfiesRange(version, range) {
+        return String(range).split('||').some(alternative => {
+            const trimmed = alternative.trim();
+            const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(trimmed);
+            const comparators = hyphen
+                ? [...this.parseRangeToken(`>=${hyphen[1]}`), ...this.parseRangeToken(`<=${hyphen[2]}`)]
+                : trimmed.replace(/(>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).flatMap(token => this.parseRangeToken(token));
+
+            return comparators.every(({ operator, version: bound }) => {
+                const comparison = this.compare(version, bound);
+                switch (operator) {
+                    case '>=': return comparison >= 0;
+                    case '<=': return comparison <= 0;
+                    case '>': return comparison > 0;
+                    case '<': return comparison < 0;
+                    default: return comparison === 0;
+                }
+            });
+        });
+    },
+
+    /**
+     * Check whether a project is known not to run on a firmware version
+     * @param {Object} project - Project data with `firmware`, `requiredFirmware` and `supportedUpTo`
+     * @param {string} version - Console firmware version
+     * @returns {boolean} True if the project is known incompatible, false if compatible or unknown
+     */
+    isIncompatible(project, version) {
+        const firmware = project.firmware || {
+            min: project.requiredFirmware || null,
+            max: project.supportedUpTo || null,
+            range: null,
+            broken: []
+        };
+
+        if ((firmware.broken || []).some(broken => this.compare(broken, version) === 0)) return true;
+        if (firmware.min && this.compare(version, firmware.min) < 0) return true;
+        if (firmware.max && this.compare(version, firmware.max) > 0) return true;
+
+        try {
+            return Boolean(firmware.range) && !this.satisfiesRange(version, firmware.range);
+        } catch (error) {
+            // The tracker rejects invalid ranges, an unreadable one decides nothing
+            return false;
+        }
+    }
+};
+
 // Export utilities
 window.NXUtils = {
     DateUtils,
     NumberUtils,
     StringUtils,
     DOMUtils,
-    ColorUtils
+    ColorUtils,
+    FirmwareUtils
 }; 
\ No newline at end of file